@@ -0,0 +1,196 @@
+import { Canvas } from './Canvas.js';
+import { CHANNELS, denormalisePoints } from '../../shared/waveform-format.js';
+
+/**
+ * Sidebar panel for the waveform library: a thumbnail per saved waveform, click to open it,
+ * rename in place, tag by channel, duplicate and delete, and the whole library in or out as
+ * one bundle file.
+ */
+export class LibraryPanel {
+    constructor(container, library, editor) {
+        this.container = container;
+        this.library = library;
+        this.editor = editor;
+        this.filter = null;
+
+        this.list = container.querySelector('.library-list');
+        const filter = container.querySelector('#library-filter');
+        filter.innerHTML = '<option value="">All channels</option>' + this.channelOptions();
+        filter.addEventListener('change', () => {
+            this.filter = filter.value || null;
+            this.render();
+        });
+
+        container.querySelector('#library-save').addEventListener('click', () => this.saveCurrent());
+        container.querySelector('#library-save-new').addEventListener('click', () => this.saveCurrent(true));
+        container.querySelector('#library-import').addEventListener('click', () => this.importBundle());
+        container.querySelector('#library-export').addEventListener('click', () => this.exportBundle());
+
+        library.onChange(() => this.render());
+        this.render();
+    }
+
+    channelOptions() {
+        return Object.entries(CHANNELS).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('');
+    }
+
+    // Run a library call, reporting failures as a toast
+    async attempt(action) {
+        try {
+            return await action();
+        } catch (error) {
+            console.error('Waveform library error:', error);
+            this.editor.ui.showToast(error.message, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Saves the wave being edited: over the library entry it was opened from, or as a new one.
+     * @param {boolean} asNew - Always add a new entry
+     */
+    async saveCurrent(asNew = false) {
+        const id = await this.attempt(async () => {
+            const existing = !asNew && this.editor.libraryId && await this.library.get(this.editor.libraryId);
+            return this.library.save(this.editor.toWaveformFile(), existing ? this.editor.libraryId : undefined);
+        });
+        if (!id) return;
+        this.editor.libraryId = id;
+        this.editor.ui.showToast(`Saved ${this.editor.waveInfo.name} to the library`, 'success');
+    }
+
+    async open(entry) {
+        // loading clears libraryId, so it's set after
+        this.editor.loadWaveformFile(entry.file);
+        this.editor.libraryId = entry.id;
+        this.editor.ui.showToast(`Opened ${entry.file.name}`, 'success');
+        this.render();
+    }
+
+    // Carry a rename or re-tag over to the waveform details when that entry is the one being edited
+    syncOpenEntry(id, changes) {
+        if (id !== this.editor.libraryId) return;
+        this.editor.setWaveInfo({ ...this.editor.waveInfo, ...changes });
+    }
+
+    importBundle() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = async (event) => {
+                const count = await this.attempt(() => this.library.importBundle(event.target.result));
+                if (count) this.editor.ui.showToast(`Imported ${count} waveform${count === 1 ? '' : 's'}`, 'success');
+            };
+            reader.readAsText(file);
+        };
+        input.click();
+    }
+
+    async exportBundle() {
+        const bundle = await this.attempt(() => this.library.exportBundle());
+        if (!bundle) return;
+        this.editor.downloadWaveform(bundle, 'waveform-library.json');
+        this.editor.ui.showToast(`Exported ${bundle.waveforms.length} waveforms`, 'success');
+    }
+
+    async render() {
+        const entries = await this.attempt(() => this.library.list(this.filter));
+        if (!entries) return;
+
+        this.list.innerHTML = '';
+        if (!entries.length) {
+            this.list.textContent = this.filter ? 'No waveforms for this channel' : 'No saved waveforms yet';
+            return;
+        }
+        entries.forEach(entry => this.list.appendChild(this.renderEntry(entry)));
+    }
+
+    renderEntry(entry) {
+        const item = document.createElement('div');
+        item.className = 'library-item';
+        if (entry.id === this.editor.libraryId) {
+            item.classList.add('current');
+        }
+
+        // Thumbnail: the curve drawn the same way as on the editor canvas, shrunk
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'library-thumbnail';
+        thumbnail.title = 'Open in the editor';
+        const canvasElement = document.createElement('canvas');
+        thumbnail.appendChild(canvasElement);
+        item.appendChild(thumbnail);
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = entry.file.name;
+        nameInput.title = 'Rename';
+        nameInput.addEventListener('change', () => this.attempt(async () => {
+            await this.library.rename(entry.id, nameInput.value);
+            this.syncOpenEntry(entry.id, { name: nameInput.value.trim() });
+        }));
+
+        const channelSelect = document.createElement('select');
+        channelSelect.title = 'Channel';
+        channelSelect.innerHTML = '<option value="">Any channel</option>' + this.channelOptions();
+        channelSelect.value = entry.file.channel || '';
+        channelSelect.addEventListener('change', () => this.attempt(async () => {
+            const channel = channelSelect.value || null;
+            await this.library.setChannel(entry.id, channel);
+            this.syncOpenEntry(entry.id, { channel });
+        }));
+
+        const duplicateBtn = document.createElement('button');
+        duplicateBtn.innerHTML = '<i class="fas fa-copy"></i>';
+        duplicateBtn.title = 'Duplicate';
+        duplicateBtn.addEventListener('click', () => this.attempt(() => this.library.duplicate(entry.id)));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-btn';
+        deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        deleteBtn.title = 'Delete from library';
+        deleteBtn.addEventListener('click', () => {
+            if (!window.confirm(`Delete ${entry.file.name} from the library?`)) return;
+            if (entry.id === this.editor.libraryId) this.editor.libraryId = null;
+            this.attempt(() => this.library.remove(entry.id));
+        });
+
+        const details = document.createElement('div');
+        details.className = 'library-details';
+        details.appendChild(nameInput);
+        const row = document.createElement('div');
+        row.className = 'library-row';
+        row.appendChild(channelSelect);
+        row.appendChild(duplicateBtn);
+        row.appendChild(deleteBtn);
+        details.appendChild(row);
+        item.appendChild(details);
+
+        thumbnail.addEventListener('click', () => this.open(entry));
+
+        // Canvas sizes itself from its container, so draw once the item is on the page
+        requestAnimationFrame(() => this.drawThumbnail(canvasElement, entry.file));
+        return item;
+    }
+
+    drawThumbnail(canvasElement, file) {
+        const canvas = new Canvas(canvasElement);
+        const { points } = denormalisePoints(file, { width: canvas.width, height: canvas.height });
+        // Same stretch as the editor canvas, then fit the wave's own span across the thumbnail
+        const left = Math.min(...points.map(point => point.x));
+        const right = Math.max(...points.map(point => point.x));
+        const scale = (canvas.width - 8) / ((right - left) || 1);
+        const fit = x => 4 + (x - left) * scale;
+        const curve = new Map(points.map((point, i) => [i, {
+            ...point,
+            x: fit(point.x),
+            cp1: point.cp1 && { x: fit(point.cp1.x), y: point.cp1.y },
+            cp2: point.cp2 && { x: fit(point.cp2.x), y: point.cp2.y }
+        }]));
+        canvas.drawCurve(curve);
+    }
+}
@@ -1,7 +1,12 @@
 import { Point } from './Point.js';
 import { Canvas } from './Canvas.js';
 import { UI } from './UI.js';
+import { WaveformLibrary } from './WaveformLibrary.js';
+import { LibraryPanel } from './LibraryPanel.js';
+import { TEMPLATES, createTemplatePoints } from './templates.js';
 import { getMousePos, findClosestPoint, generateUniquePointName, distance } from './utils.js';
+import { curvePath, fitHandle } from '../../shared/bezier.js';
+import { CHANNELS, UNITS, DEFAULT_INFO, createWaveformFile, normalisePoints, denormalisePoints, readWaveform } from '../../shared/waveform-format.js';
 
 export class WaveformEditor {
     constructor(canvasElement) {
@@ -14,6 +19,7 @@ export class WaveformEditor {
         this.baselineY = this.canvas.height / 2; // Center baseline
         this.highlightedSegment = null;
         this.showLabels = true;
+        this.waveInfo = this.loadWaveInfo(); // name, channel, duration, units, author, notes for the saved file
         this.selectedPoints = new Set();
         this.isBoxSelecting = false;
         this.boxStartX = 0;
@@ -78,6 +84,14 @@ export class WaveformEditor {
         
         // Setup event listeners before loading/creating points
         this.setupEventListeners();
+        this.setupWaveDetails();
+
+        // Named waveforms saved in the browser; libraryId is the entry being edited, if any
+        this.libraryId = null;
+        const libraryContainer = document.querySelector('.library');
+        if (libraryContainer) {
+            this.libraryPanel = new LibraryPanel(libraryContainer, new WaveformLibrary(), this);
+        }
         
         // Try to load state from localStorage first, then fall back to saved wave, then base wave
         if (!this.loadFromLocalStorage()) {
@@ -100,7 +114,7 @@ export class WaveformEditor {
         this.lastMouseY = 0;
     }
 
-    setupBaseWave() {
+    setupBaseWave(templateKey = 'ecg') {
         // Use logical dimensions instead of scaled canvas dimensions
         const height = this.canvas.height;
         const width = this.canvas.width;
@@ -110,91 +124,27 @@ export class WaveformEditor {
         // Clear existing points
         this.points.clear();
         
-        // Calculate x-positions to space out the PQRST wave components
-        const startX = 50;
-        const totalWidth = width - 100;
-        
-        // Create points for PQRST wave with appropriate positioning
-        const points = [
-            // Initial baseline
-            new Point(startX, baseline, 'Start', '#ff0000', 'smooth'),
-            
-            // P wave (smooth bump)
-            new Point(startX + totalWidth * 0.15, baseline, 'P-start', '#ff0000', 'smooth'),
-            new Point(startX + totalWidth * 0.2, baseline - 20, 'P', '#ff0000', 'smooth'),
-            new Point(startX + totalWidth * 0.25, baseline, 'P-end', '#ff0000', 'smooth'),
-            
-            // Q wave (sharp downward deflection)
-            new Point(startX + totalWidth * 0.3, baseline, 'Q-start', '#ff0000', 'sharp'),
-            new Point(startX + totalWidth * 0.32, baseline + 30, 'Q', '#ff0000', 'sharp'),
-            
-            // R wave (sharp upward spike)
-            new Point(startX + totalWidth * 0.35, baseline - 100, 'R', '#ff0000', 'sharp'),
-            
-            // S wave (sharp downward deflection)
-            new Point(startX + totalWidth * 0.38, baseline + 40, 'S', '#ff0000', 'sharp'),
-            
-            // ST segment (flat line)
-            new Point(startX + totalWidth * 0.45, baseline, 'ST', '#ff0000', 'sharp'),
-            
-            // T wave (smooth dome)
-            new Point(startX + totalWidth * 0.6, baseline, 'T-start', '#ff0000', 'smooth'),
-            new Point(startX + totalWidth * 0.65, baseline - 30, 'T', '#ff0000', 'smooth'),
-            new Point(startX + totalWidth * 0.7, baseline, 'T-end', '#ff0000', 'smooth'),
-            
-            // Final baseline
-            new Point(width - 50, baseline, 'End', '#ff0000', 'smooth')
-        ];
-        
-        // Set initial control points for smooth curves
-        points.forEach((point, i) => {
-            if (i > 0) {
-                const prevPoint = points[i - 1];
-                const dx = point.x - prevPoint.x;
-                const dy = point.y - prevPoint.y;
-                
-                if (prevPoint.type === 'smooth' && point.type === 'smooth') {
-                    // Set control points at 1/3 and 2/3 of the distance between points
-                    prevPoint.cp2 = {
-                        x: prevPoint.x + dx / 3,
-                        y: prevPoint.y + dy / 3
-                    };
-                    
-                    point.cp1 = {
-                        x: point.x - dx / 3,
-                        y: point.y - dy / 3
-                    };
-                } else {
-                    // For sharp points or transitions between smooth and sharp,
-                    // keep control points closer to their anchor points
-                    prevPoint.cp2 = {
-                        x: prevPoint.x + dx / 6,
-                        y: prevPoint.y + dy / 6
-                    };
-                    
-                    point.cp1 = {
-                        x: point.x - dx / 6,
-                        y: point.y - dy / 6
-                    };
-                }
-            }
-            
-            // Add point to the points Map
+        // Points (with control points) for the template, PQRST unless another was picked
+        createTemplatePoints(templateKey, { width, height, baseline }).forEach(point => {
             this.points.set(point.name, point);
         });
 
-        // Initialize first point's control points if not set
-        const firstPoint = points[0];
-        if (!firstPoint.cp1) {
-            firstPoint.cp1 = { x: firstPoint.x, y: firstPoint.y };
-        }
-        if (!firstPoint.cp2) {
-            firstPoint.cp2 = { x: firstPoint.x + 50, y: firstPoint.y };
-        }
-
         this.draw();
     }
 
+    // Start over from a built-in template, picked from the Templates menu
+    applyTemplate(templateKey) {
+        const { label, channel, units, duration } = TEMPLATES[templateKey];
+        this.setupBaseWave(templateKey);
+        this.libraryId = null;
+        this.selectedPoint = null;
+        this.selectedPoints.clear();
+        this.setWaveInfo({ ...this.waveInfo, name: label, channel, units, duration });
+        this.saveState(`Template: ${label}`);
+        this.ui.updatePointList(this.points, null, (p) => this.selectPoint(p));
+        this.ui.showToast(`Started from ${label} template`, 'success');
+    }
+
     setupEventListeners() {
         const canvas = this.canvas.element;
         
@@ -292,23 +242,23 @@ export class WaveformEditor {
 
         if (exportForMonitorButton) {
             exportForMonitorButton.addEventListener('click', () => {
-                const waveformData = this.exportForMonitor();
-                const blob = new Blob([JSON.stringify(waveformData, null, 2)], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
-                
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = 'monitor-waveform.json';
-                document.body.appendChild(link);
-                link.click();
-                
-                document.body.removeChild(link);
-                URL.revokeObjectURL(url);
-                
+                this.downloadWaveform(this.exportForMonitor(), 'monitor-waveform.json');
                 this.ui.showToast('Waveform exported for monitor', 'success');
             });
         }
 
+        // One Templates menu entry per built-in template
+        const templateMenu = document.getElementById('template-menu');
+        if (templateMenu) {
+            Object.entries(TEMPLATES).forEach(([key, { label }]) => {
+                const item = document.createElement('div');
+                item.className = 'menu-dropdown-item';
+                item.textContent = label;
+                item.addEventListener('click', () => this.applyTemplate(key));
+                templateMenu.appendChild(item);
+            });
+        }
+
         if (toggleLabelsItem) {
             toggleLabelsItem.addEventListener('click', () => this.toggleLabels());
             // Set initial state
@@ -564,6 +514,7 @@ export class WaveformEditor {
             const { point, handle } = this.draggingControlPoint;
             point[handle].x = x;
             point[handle].y = y;
+            this.fitHandles([point]);
             this.draw();
             return;
         }
@@ -589,6 +540,7 @@ export class WaveformEditor {
                 }
             }
 
+            this.fitHandles(Array.from(this.selectedPoints, id => this.points.get(id)));
             this.lastMouseX = screenX;
             this.lastMouseY = screenY;
             this.draw();
@@ -825,36 +777,14 @@ export class WaveformEditor {
             const reader = new FileReader();
             reader.onload = (event) => {
                 try {
-                    const waveData = JSON.parse(event.target.result);
-                    this.points.clear(); // Clear existing points
-                    
-                    // Create new Point instances from saved data
-                    waveData.points.forEach(pointData => {
-                        const point = new Point(
-                            pointData.x,
-                            pointData.y,
-                            pointData.name,
-                            pointData.color,
-                            pointData.type
-                        );
-                        
-                        // Restore control points
-                        point.cp1 = { ...pointData.cp1 };
-                        point.cp2 = { ...pointData.cp2 };
-                        
-                        // Restore starred state
-                        point.starred = pointData.starred || false;
-                        
-                        // Add to points Map with name as key
-                        this.points.set(point.name, point);
-                    });
-                    
-                    this.draw(); // Redraw the wave
-                    this.ui.showToast('Wave loaded from file', 'success');
+                    // Older files are migrated; anything wrong is listed in the error
+                    const waveFile = readWaveform(event.target.result, { width: this.canvas.width, height: this.canvas.height });
+                    this.loadWaveformFile(waveFile);
+                    this.ui.showToast(`Loaded ${waveFile.name}`, 'success');
                     return true;
                 } catch (error) {
                     console.error('Error loading wave:', error);
-                    this.ui.showToast('Error loading wave file', 'error');
+                    this.ui.showToast(error.message, 'error');
                     return false;
                 }
             };
@@ -869,6 +799,41 @@ export class WaveformEditor {
         return false;
     }
 
+    // Replace the current wave with one from a (checked) waveform file, stretched to fit this canvas.
+    // It's no longer the library entry that was open; LibraryPanel.open sets libraryId again after this
+    loadWaveformFile(waveFile) {
+        const { points, baseline } = denormalisePoints(waveFile, { width: this.canvas.width, height: this.canvas.height });
+        this.libraryId = null;
+        this.points.clear(); // Clear existing points
+        this.baselineY = baseline;
+
+        points.forEach((pointData, i) => {
+            const point = new Point(
+                pointData.x,
+                pointData.y,
+                pointData.name || `Point ${i + 1}`,
+                pointData.color,
+                pointData.type
+            );
+            
+            // Restore control points (files may leave them off sharp points)
+            point.cp1 = pointData.cp1 ? { ...pointData.cp1 } : { x: point.x, y: point.y };
+            point.cp2 = pointData.cp2 ? { ...pointData.cp2 } : { x: point.x, y: point.y };
+            
+            // Restore starred state
+            point.starred = pointData.starred || false;
+            
+            // Add to points Map with name as key
+            this.points.set(point.name, point);
+        });
+
+        const { name, channel, duration, units, author, notes } = waveFile;
+        this.setWaveInfo({ name, channel, duration, units, author, notes });
+        this.saveState('Load Wave');
+        this.ui.updatePointList(this.points, null, (p) => this.selectPoint(p));
+        this.draw(); // Redraw the wave
+    }
+
     toggleGuides() {
         this.canvas.showGuides = !this.canvas.showGuides;
         
@@ -901,6 +866,21 @@ export class WaveformEditor {
         this.draw();
     }
 
+    // Handles on curves either side of `moved` that reach past the next point in time (x) get
+    // shortened: past it the curve folds back, and the preview and monitors (one y per x) would
+    // play something else. Called while dragging; mouse up saves the result with the move
+    fitHandles(moved) {
+        const byTime = Array.from(this.points.values()).sort((a, b) => a.x - b.x);
+        for (let i = 1; i < byTime.length; i++) {
+            const start = byTime[i - 1];
+            const end = byTime[i];
+            if (start.type !== 'smooth' || end.type !== 'smooth') continue;
+            if (!moved.includes(start) && !moved.includes(end)) continue;
+            start.cp2 = fitHandle(start.cp2, start, end);
+            end.cp1 = fitHandle(end.cp1, end, start);
+        }
+    }
+
     draw() {
         if (this.isPreviewMode) return;
         
@@ -948,83 +928,87 @@ export class WaveformEditor {
         }
     }
 
-    saveWave() {
-        const waveData = {
-            points: Array.from(this.points.values()).map(point => ({
-                x: point.x,
-                y: point.y,
-                name: point.name,
-                color: point.color,
-                type: point.type,
-                starred: point.starred,
-                cp1: { x: point.cp1.x, y: point.cp1.y },
-                cp2: { x: point.cp2.x, y: point.cp2.y }
-            }))
-        };
-        
+    // The current wave as a waveform file (see shared/waveform-format.js), points in drawing order
+    toWaveformFile(points = Array.from(this.points.values())) {
+        return createWaveformFile({
+            ...this.waveInfo,
+            ...normalisePoints(points, { width: this.canvas.width, height: this.canvas.height, baseline: this.baselineY })
+        });
+    }
+
+    downloadWaveform(waveFile, filename) {
         // Create a Blob containing the wave data
-        const blob = new Blob([JSON.stringify(waveData, null, 2)], { type: 'application/json' });
+        const blob = new Blob([JSON.stringify(waveFile, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         
         // Create a temporary link element and trigger the download
         const link = document.createElement('a');
         link.href = url;
-        link.download = 'waveform.json';
+        link.download = filename;
         document.body.appendChild(link);
         link.click();
         
         // Clean up
         document.body.removeChild(link);
         URL.revokeObjectURL(url);
-        
+    }
+
+    saveWave() {
+        this.downloadWaveform(this.toWaveformFile(), 'waveform.json');
         this.ui.showToast('Wave saved to file', 'success');
     }
 
+    // Same file as saveWave, with the points left to right the way the monitor plays them
     exportForMonitor() {
-        // Get the points array sorted by x position
-        const points = Array.from(this.points.values())
-            .sort((a, b) => a.x - b.x);
-
-        // Find the wave width
-        const startX = points[0].x;
-        const endX = points[points.length - 1].x;
-        const width = endX - startX;
-
-        // Calculate baseline ratio
-        const baselineRatio = this.baselineY / this.canvas.height;
-
-        // Normalize the wave data
-        const normalizedPoints = points.map(point => {
-            // Normalize x to [0, 1] range
-            const x = (point.x - startX) / width;
-            
-            // Normalize y to [-1, 1] range relative to baseline
-            const y = (this.baselineY - point.y) / (this.canvas.height / 4);
+        return this.toWaveformFile(Array.from(this.points.values()).sort((a, b) => a.x - b.x));
+    }
 
-            return {
-                x,
-                y,
-                type: point.type,
-                cp1: point.cp1 ? {
-                    x: (point.cp1.x - startX) / width,
-                    y: (this.baselineY - point.cp1.y) / (this.canvas.height / 4)
-                } : null,
-                cp2: point.cp2 ? {
-                    x: (point.cp2.x - startX) / width,
-                    y: (this.baselineY - point.cp2.y) / (this.canvas.height / 4)
-                } : null
-            };
+    // Waveform details form in the sidebar, kept in step with waveInfo; picking a channel picks its usual units
+    setupWaveDetails() {
+        const channel = document.getElementById('wave-channel');
+        const units = document.getElementById('wave-units');
+        if (!channel || !units) return;
+
+        channel.innerHTML = '<option value="">Any channel</option>' +
+            Object.entries(CHANNELS).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('');
+        units.innerHTML = UNITS.map(unit => `<option value="${unit}">${unit}</option>`).join('');
+
+        ['name', 'channel', 'duration', 'units', 'author', 'notes'].forEach(key => {
+            const field = document.getElementById(`wave-${key}`);
+            field.addEventListener('change', () => {
+                const changes = { [key]: field.value };
+                if (key === 'channel') {
+                    changes.channel = field.value || null;
+                    if (changes.channel) changes.units = CHANNELS[changes.channel].units;
+                }
+                if (key === 'duration') changes.duration = Number(field.value) > 0 ? Number(field.value) : this.waveInfo.duration;
+                if (key === 'name') changes.name = field.value.trim() || this.waveInfo.name;
+                this.setWaveInfo({ ...this.waveInfo, ...changes });
+            });
         });
+        this.setWaveInfo(this.waveInfo);
+    }
 
-        return {
-            points: normalizedPoints,
-            metadata: {
-                originalWidth: width,
-                originalHeight: this.canvas.height,
-                baselineRatio: baselineRatio,
-                originalBaseline: this.baselineY
-            }
-        };
+    setWaveInfo(info) {
+        this.waveInfo = info;
+        try {
+            localStorage.setItem('waveformInfo', JSON.stringify(info));
+        } catch (error) {
+            console.error('Error saving to localStorage:', error);
+        }
+
+        Object.entries(info).forEach(([key, value]) => {
+            const field = document.getElementById(`wave-${key}`);
+            if (field) field.value = value === null ? '' : value;
+        });
+    }
+
+    loadWaveInfo() {
+        try {
+            return { ...DEFAULT_INFO, ...JSON.parse(localStorage.getItem('waveformInfo')) };
+        } catch (error) {
+            return { ...DEFAULT_INFO };
+        }
     }
 
     // Add history management methods
@@ -1220,35 +1204,12 @@ export class WaveformEditor {
         this.canvas.ctx.lineCap = 'round';
         this.canvas.ctx.lineJoin = 'round';
         
-        // Begin the path
+        // Trace the curve the way the monitor samples it, so the preview shows what it will play
+        const path = curvePath(points);
         this.canvas.ctx.beginPath();
-        this.canvas.ctx.moveTo(points[0].x + offset, points[0].y);
-        
-        // Draw the wave segments
-        for (let i = 0; i < points.length - 1; i++) {
-            const current = points[i];
-            const next = points[i + 1];
-            
-            if (next.type === 'smooth' && current.type === 'smooth') {
-                // Use control points for smooth curves
-                const cp1 = current.cp2 || { 
-                    x: current.x + (next.x - current.x) / 3, 
-                    y: current.y 
-                };
-                const cp2 = next.cp1 || { 
-                    x: next.x - (next.x - current.x) / 3, 
-                    y: next.y 
-                };
-                
-                this.canvas.ctx.bezierCurveTo(
-                    cp1.x + offset, cp1.y,
-                    cp2.x + offset, cp2.y,
-                    next.x + offset, next.y
-                );
-            } else {
-                // Draw straight line for sharp points
-                this.canvas.ctx.lineTo(next.x + offset, next.y);
-            }
+        this.canvas.ctx.moveTo(path[0].x + offset, path[0].y);
+        for (let i = 1; i < path.length; i++) {
+            this.canvas.ctx.lineTo(path[i].x + offset, path[i].y);
         }
         
         // Stroke the path
@@ -1293,6 +1254,9 @@ export class WaveformEditor {
 
     // Add keyboard event handler for Escape key
     handleKeyDown(e) {
+        // Let the details form and scratchpad have their keys (spaces in names)
+        if (e.target.matches && e.target.matches('input, textarea, select')) return;
+
         if (e.key === 'Escape') {
             this.selectedPoints.clear();
             this.selectedPoint = null;
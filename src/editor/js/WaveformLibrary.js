@@ -0,0 +1,173 @@
+import { FORMAT, readWaveform, validateWaveform, migrateWaveform } from '../../shared/waveform-format.js';
+
+const DB_NAME = 'waveform-library';
+const DB_VERSION = 1;
+const STORE = 'waveforms';
+
+// A whole library in one file
+const BUNDLE_FORMAT = `${FORMAT}-library`;
+const BUNDLE_VERSION = 1;
+
+function openDatabase(indexedDB) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve an IDBRequest as a promise
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function newId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Named waveforms kept in IndexedDB, each entry { id, updated, file } where file is a
+ * waveform file (shared/waveform-format.js). The file's name and channel are the entry's
+ * name and channel tag. Without IndexedDB (private browsing) the library lives in memory.
+ */
+export class WaveformLibrary {
+    constructor(storage = window.indexedDB) {
+        this.memory = new Map();
+        this.listeners = [];
+        this.db = storage
+            ? openDatabase(storage).catch(error => {
+                console.error('Waveform library storage unavailable:', error);
+                return null;
+            })
+            : Promise.resolve(null);
+    }
+
+    /**
+     * Every entry, optionally only those tagged with one channel, newest first.
+     * @param {string|null} channel - Channel key to filter by, or null for all
+     */
+    async list(channel = null) {
+        const db = await this.db;
+        const entries = db
+            ? await requestResult(db.transaction(STORE).objectStore(STORE).getAll())
+            : Array.from(this.memory.values());
+        return entries
+            .filter(entry => !channel || entry.file.channel === channel)
+            .sort((a, b) => b.updated - a.updated);
+    }
+
+    async get(id) {
+        const db = await this.db;
+        if (!db) return this.memory.get(id) || null;
+        return (await requestResult(db.transaction(STORE).objectStore(STORE).get(id))) || null;
+    }
+
+    /**
+     * Stores a waveform file, replacing the entry with this id if there is one.
+     * @returns {Promise<string>} The entry's id
+     */
+    async save(file, id = newId()) {
+        const problems = validateWaveform(file);
+        if (problems.length) throw new Error(`Waveform file: ${problems.join('; ')}`);
+
+        const entry = { id, updated: Date.now(), file };
+        const db = await this.db;
+        if (db) await requestResult(db.transaction(STORE, 'readwrite').objectStore(STORE).put(entry));
+        else this.memory.set(id, entry);
+        this.notify();
+        return id;
+    }
+
+    async duplicate(id) {
+        const entry = await this.require(id);
+        return this.save({ ...entry.file, name: `${entry.file.name} copy` });
+    }
+
+    async rename(id, name) {
+        if (!name || !name.trim()) throw new Error('A waveform needs a name');
+        const entry = await this.require(id);
+        return this.save({ ...entry.file, name: name.trim() }, id);
+    }
+
+    // Tag the entry with the channel it's for (null for any)
+    async setChannel(id, channel) {
+        const entry = await this.require(id);
+        return this.save({ ...entry.file, channel }, id);
+    }
+
+    async remove(id) {
+        const db = await this.db;
+        if (db) await requestResult(db.transaction(STORE, 'readwrite').objectStore(STORE).delete(id));
+        else this.memory.delete(id);
+        this.notify();
+    }
+
+    async require(id) {
+        const entry = await this.get(id);
+        if (!entry) throw new Error('That waveform is no longer in the library');
+        return entry;
+    }
+
+    /**
+     * The whole library as one JSON bundle for download.
+     * @returns {Promise<Object>} { format, version, exported, waveforms: [file, ...] }
+     */
+    async exportBundle() {
+        const entries = await this.list();
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exported: new Date().toISOString(),
+            waveforms: entries.map(entry => entry.file)
+        };
+    }
+
+    /**
+     * Adds every waveform in a bundle (or a single waveform file) as new entries.
+     * Each is migrated and checked like a file loaded on its own; nothing is added if any fails.
+     * @param {string} text - Bundle JSON
+     * @returns {Promise<number>} How many waveforms were added
+     */
+    async importBundle(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Library file is not valid JSON (${error.message})`);
+        }
+
+        // a lone waveform file is a library of one
+        if (!data || data.format !== BUNDLE_FORMAT) return this.save(readWaveform(text)).then(() => 1);
+        if (data.version > BUNDLE_VERSION) {
+            throw new Error(`Library file is version ${data.version}, this app only reads up to version ${BUNDLE_VERSION}`);
+        }
+        if (!Array.isArray(data.waveforms)) throw new Error('Library file has no waveforms');
+
+        const files = data.waveforms.map((waveform, i) => {
+            try {
+                const file = migrateWaveform(waveform);
+                const problems = validateWaveform(file);
+                if (problems.length) throw new Error(problems.join('; '));
+                return file;
+            } catch (error) {
+                throw new Error(`Library file, waveform ${i + 1}: ${error.message}`);
+            }
+        });
+        for (const file of files) await this.save(file);
+        return files.length;
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn(this));
+    }
+}
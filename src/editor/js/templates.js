@@ -0,0 +1,172 @@
+import { Point } from './Point.js';
+
+/**
+ * Starting shapes for the editor, one cycle each. Points are laid out the way waveform files
+ * store them: x from 0 to 1 across the wave, y in editor units (1 = a quarter of the canvas
+ * height above the baseline). Key points (the ones someone teaching with the wave would point
+ * at) are starred. channel, units and duration fill in the waveform details.
+ */
+export const TEMPLATES = {
+    ecg: {
+        label: 'ECG (PQRST)',
+        channel: 'hr',
+        units: 'mV',
+        duration: 0.8,
+        // the original default wave: P 20px, Q 30px, R 100px, S 40px, T 30px on the 150px canvas
+        points: [
+            { name: 'Start', x: 0, y: 0, type: 'smooth' },
+            { name: 'P-start', x: 0.15, y: 0, type: 'smooth' },
+            { name: 'P', x: 0.2, y: 0.533, type: 'smooth', starred: true },
+            { name: 'P-end', x: 0.25, y: 0, type: 'smooth' },
+            { name: 'Q-start', x: 0.3, y: 0, type: 'sharp' },
+            { name: 'Q', x: 0.32, y: -0.8, type: 'sharp' },
+            { name: 'R', x: 0.35, y: 2.667, type: 'sharp', starred: true },
+            { name: 'S', x: 0.38, y: -1.067, type: 'sharp' },
+            { name: 'ST', x: 0.45, y: 0, type: 'sharp', starred: true },
+            { name: 'T-start', x: 0.6, y: 0, type: 'smooth' },
+            { name: 'T', x: 0.65, y: 0.8, type: 'smooth', starred: true },
+            { name: 'T-end', x: 0.7, y: 0, type: 'smooth' },
+            { name: 'End', x: 1, y: 0, type: 'smooth' }
+        ]
+    },
+    art: {
+        label: 'Arterial line',
+        channel: 'art',
+        units: 'mmHg',
+        duration: 0.8,
+        points: [
+            { name: 'Upstroke', x: 0, y: 0, type: 'sharp', starred: true },
+            { name: 'Anacrotic limb', x: 0.06, y: 0.9, type: 'smooth' },
+            { name: 'Systolic peak', x: 0.12, y: 1.6, type: 'smooth', starred: true },
+            { name: 'Systolic decline', x: 0.25, y: 1.1, type: 'smooth' },
+            { name: 'Dicrotic notch', x: 0.32, y: 0.85, type: 'sharp', starred: true },
+            { name: 'Dicrotic wave', x: 0.37, y: 0.95, type: 'smooth' },
+            { name: 'Diastolic runoff', x: 0.65, y: 0.35, type: 'smooth' },
+            { name: 'End diastole', x: 1, y: 0, type: 'sharp', starred: true }
+        ]
+    },
+    pleth: {
+        label: 'Pleth',
+        channel: 'spo2',
+        units: 'a.u.',
+        duration: 0.8,
+        points: [
+            { name: 'Foot', x: 0, y: 0, type: 'sharp', starred: true },
+            { name: 'Upstroke', x: 0.1, y: 0.8, type: 'smooth' },
+            { name: 'Peak', x: 0.2, y: 1.4, type: 'smooth', starred: true },
+            { name: 'Notch', x: 0.42, y: 0.7, type: 'smooth', starred: true },
+            { name: 'Diastolic peak', x: 0.5, y: 0.75, type: 'smooth' },
+            { name: 'Runoff', x: 0.75, y: 0.3, type: 'smooth' },
+            { name: 'End', x: 1, y: 0, type: 'smooth' }
+        ]
+    },
+    capnogram: {
+        label: 'Capnogram (phases I-IV)',
+        channel: 'etco2',
+        units: 'mmHg',
+        duration: 5,
+        points: [
+            { name: 'Phase I', x: 0, y: 0, type: 'sharp' },
+            { name: 'Phase II', x: 0.3, y: 0, type: 'sharp', starred: true },
+            { name: 'Phase III', x: 0.38, y: 1.3, type: 'smooth', starred: true },
+            { name: 'Alveolar plateau', x: 0.6, y: 1.45, type: 'smooth' },
+            { name: 'Phase IV', x: 0.72, y: 1.55, type: 'smooth', starred: true },
+            { name: 'End-tidal', x: 0.75, y: 1.6, type: 'sharp', starred: true },
+            { name: 'Inspiration', x: 0.82, y: 0, type: 'sharp', starred: true },
+            { name: 'End', x: 1, y: 0, type: 'sharp' }
+        ]
+    },
+    pcvPaw: {
+        label: 'Paw, pressure control',
+        channel: 'paw',
+        units: 'cmH2O',
+        duration: 5,
+        points: [
+            { name: 'PEEP', x: 0, y: 0.3, type: 'sharp', starred: true },
+            { name: 'Pinsp', x: 0.05, y: 1.4, type: 'sharp', starred: true },
+            { name: 'End inspiration', x: 0.33, y: 1.35, type: 'sharp' },
+            { name: 'Expiration', x: 0.38, y: 0.35, type: 'smooth', starred: true },
+            { name: 'End expiration', x: 1, y: 0.3, type: 'smooth' }
+        ]
+    },
+    vcvPaw: {
+        label: 'Paw, volume control',
+        channel: 'paw',
+        units: 'cmH2O',
+        duration: 5,
+        points: [
+            { name: 'PEEP', x: 0, y: 0.3, type: 'sharp', starred: true },
+            { name: 'Resistive rise', x: 0.03, y: 0.8, type: 'sharp' },
+            { name: 'Peak pressure', x: 0.3, y: 1.6, type: 'sharp', starred: true },
+            { name: 'Pause', x: 0.33, y: 1.1, type: 'sharp' },
+            { name: 'Plateau pressure', x: 0.4, y: 1.05, type: 'sharp', starred: true },
+            { name: 'Expiration', x: 0.45, y: 0.4, type: 'smooth' },
+            { name: 'End expiration', x: 1, y: 0.3, type: 'smooth' }
+        ]
+    },
+    flow: {
+        label: 'Flow',
+        channel: null,
+        units: 'L/min',
+        duration: 5,
+        points: [
+            { name: 'Start', x: 0, y: 0, type: 'sharp' },
+            { name: 'Peak inspiratory flow', x: 0.01, y: 1.2, type: 'sharp', starred: true },
+            { name: 'End inspiratory flow', x: 0.3, y: 1.2, type: 'sharp' },
+            { name: 'Pause', x: 0.31, y: 0, type: 'sharp' },
+            { name: 'Expiration', x: 0.4, y: 0, type: 'sharp' },
+            { name: 'Peak expiratory flow', x: 0.42, y: -1.4, type: 'sharp', starred: true },
+            { name: 'Expiratory decay', x: 0.55, y: -0.5, type: 'smooth' },
+            { name: 'End expiration', x: 1, y: 0, type: 'smooth', starred: true }
+        ]
+    },
+    volume: {
+        label: 'Volume',
+        channel: 'vte',
+        units: 'mL',
+        duration: 5,
+        points: [
+            { name: 'Start', x: 0, y: 0, type: 'sharp' },
+            { name: 'Tidal volume', x: 0.3, y: 1.6, type: 'sharp', starred: true },
+            { name: 'Pause', x: 0.4, y: 1.6, type: 'sharp' },
+            { name: 'Exhalation', x: 0.5, y: 0.6, type: 'smooth' },
+            { name: 'Exhaled', x: 0.7, y: 0.12, type: 'smooth' },
+            { name: 'End expiration', x: 1, y: 0, type: 'smooth', starred: true }
+        ]
+    }
+};
+
+/**
+ * Editable points for a template, laid across the canvas with a 50px margin each side.
+ * Control points go a third of the way to the neighbour between smooth points and a sixth
+ * otherwise, as the original PQRST wave had them.
+ *
+ * @param {string} key - A key of TEMPLATES
+ * @param {Object} canvas - { width, height, baseline } in logical px
+ * @returns {Point[]} Points in drawing order
+ */
+export function createTemplatePoints(key, { width, height, baseline }) {
+    const template = TEMPLATES[key];
+    if (!template) throw new Error(`No waveform template called ${key}`);
+
+    const startX = 50;
+    const totalWidth = width - 100;
+    const unit = height / 4;
+
+    const points = template.points.map(({ name, x, y, type, starred = false }) => {
+        const point = new Point(startX + x * totalWidth, baseline - y * unit, name, '#ff0000', type);
+        point.starred = starred;
+        return point;
+    });
+
+    points.forEach((point, i) => {
+        if (i === 0) return;
+        const prevPoint = points[i - 1];
+        const share = prevPoint.type === 'smooth' && point.type === 'smooth' ? 3 : 6;
+        const dx = point.x - prevPoint.x;
+        const dy = point.y - prevPoint.y;
+        prevPoint.cp2 = { x: prevPoint.x + dx / share, y: prevPoint.y + dy / share };
+        point.cp1 = { x: point.x - dx / share, y: point.y - dy / share };
+    });
+    return points;
+}
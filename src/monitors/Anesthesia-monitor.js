@@ -1,12 +1,28 @@
 // Waveform patterns and rendering logic :)
+import patientState from './patient-state.js';
+import { breathClock, tickClocks } from './clocks.js';
+import { Ventilator } from './ventilator.js';
+import { capnogram } from './capnography.js';
+import simulation from './simulation.js';
+import eventLog from './event-log.js';
+import alarms from './alarms.js';
+import { bindAlarmBar, flashStatus, ALARM_BAR_STYLE } from './alarm-ui.js';
+import trendRecorder from './trend-recorder.js';
+import { TrendView, TREND_STYLE } from './trend-ui.js';
+import { customWaveformHeight, baselineRatio } from './custom-waveform.js';
+import { bindCustomWaveforms, customWaveControls, CUSTOM_WAVE_STYLE } from './custom-waveform-ui.js';
+
 class WaveformRenderer {
-    constructor(canvas, type) {
+    constructor(canvas, type, clock, ventilator) {
         this.canvas = canvas;
         this.type = type;
+        this.clock = clock;           // breath CycleClock
+        this.ventilator = ventilator;
         this.ctx = canvas.getContext('2d');
         this.printHead = 0;
         this.data = [];
-        this.customWaveform = null;
+        this.customWaveform = null;   // editor waveform played instead of the built-in trace
+        this.customScale = 1;
         this.waveformOffset = 0;
         this.baselineY = 0; 
         
@@ -26,19 +42,21 @@ class WaveformRenderer {
         const width = Math.floor(this.canvas.width / window.devicePixelRatio);
         this.data = new Array(width).fill(0);
         
-        // Set default baseline to 2/3 of height
+        // Baseline at 2/3 of height, or where the custom waveform's editor had it
         const height = this.canvas.height / window.devicePixelRatio;
-        this.baselineY = height * 0.67;
+        this.baselineY = height * baselineRatio(this.customWaveform);
     }
 
-    setCustomWaveform(waveformData) {
+    setCustomWaveform(waveformData, scale = 1) {
         this.customWaveform = waveformData;
-        
-        // Update baseline if provided in metadata
-        if (waveformData.metadata && typeof waveformData.metadata.baselineRatio === 'number') {
-            const height = this.canvas.height / window.devicePixelRatio;
-            this.baselineY = height * waveformData.metadata.baselineRatio;
-        }
+        this.customScale = scale;
+        this.baselineY = this.canvas.height / window.devicePixelRatio * baselineRatio(waveformData);
+    }
+
+    //back to the built-in trace
+    clearCustomWaveform() {
+        this.customWaveform = null;
+        this.baselineY = this.canvas.height / window.devicePixelRatio * baselineRatio(null);
     }
 
     getColor() {
@@ -52,113 +70,41 @@ class WaveformRenderer {
     }
 
     generateDataPoint(time) {
-        if (this.customWaveform && this.type === 'vte') {
-            // Use custom waveform for VTE
-            const points = this.customWaveform.points;
-            const cycleTime = (time * 12 / 60) % 1; // 12 cycles per minute
-
-            // Find the points that bracket the current time
-            let startPoint = points[0];
-            let endPoint = points[1];
-            let found = false;
-            
-            for (let i = 1; i < points.length; i++) {
-                if (points[i].x > cycleTime) {
-                    startPoint = points[i - 1];
-                    endPoint = points[i];
-                    found = true;
-                    break;
-                }
-            }
-
-            // If we didn't find bracketing points, use the last and first points to close the loop
-            if (!found) {
-                startPoint = points[points.length - 1];
-                endPoint = points[0];
-                // Adjust cycleTime for the wrap-around
-                const t = (cycleTime - startPoint.x) / (1 - startPoint.x + endPoint.x);
-                
-                if (startPoint.type === 'smooth' && endPoint.type === 'smooth') {
-                    return this.cubicInterpolation(
-                        startPoint.y,
-                        startPoint.cp2.y,
-                        endPoint.cp1.y,
-                        endPoint.y,
-                        t
-                    ) * 840;
-                } else {
-                    return (startPoint.y + t * (endPoint.y - startPoint.y)) * 840;
-                }
-            }
-
-            // Calculate interpolation for normal case
-            const t = (cycleTime - startPoint.x) / (endPoint.x - startPoint.x);
-            
-            // If both points are smooth, use cubic interpolation
-            if (startPoint.type === 'smooth' && endPoint.type === 'smooth') {
-                return this.cubicInterpolation(
-                    startPoint.y,
-                    startPoint.cp2.y,
-                    endPoint.cp1.y,
-                    endPoint.y,
-                    t
-                ) * 840; // Scale to match display value
-            } else {
-                // Use linear interpolation for sharp points
-                return (startPoint.y + t * (endPoint.y - startPoint.y)) * 840;
-            }
+        if (this.customWaveform) {
+            // editor waveform, one per breath
+            const height = this.canvas.height / window.devicePixelRatio;
+            return customWaveformHeight(this.customWaveform, this.clock.phase, height, this.customScale);
         }
 
-        // Fall back to original generation for other types
-        const breathRate = 12; // breaths per minute
-        const cycleTime = (time * breathRate / 60) % 1;
+        // Otherwise the ventilator model
+        const cycleTime = this.clock.phase;
+        const breath = this.ventilator.sample(cycleTime);
 
         switch(this.type) {
             case 'vte':
-                // Ventilation waveform: more natural inspiration/expiration
-                if (cycleTime < 0.3) { // inspiration
-                    return 40 * Math.pow(cycleTime/0.3, 2);
-                } else { // expiration
-                    return 40 * Math.pow(1 - (cycleTime-0.3)/0.7, 0.5);
-                }
+                // Delivered volume, 40px per 500 mL
+                return breath.volume * 0.08;
             case 'paw':
-                // Airway pressure: more realistic pressure curve
-                if (cycleTime < 0.2) { // pressure ramp up
-                    return 30 * (cycleTime/0.2);
-                } else if (cycleTime < 0.3) { // pressure plateau
-                    return 30;
-                } else if (cycleTime < 0.4) { // pressure release
-                    return 30 * (1 - (cycleTime-0.3)/0.1);
-                } else { // PEEP level
-                    return 5;
-                }
+                // Airway pressure, 1px per cmH2O
+                return breath.paw;
             case 'etco2':
-                // End-tidal CO2: more natural plateau
-                if (cycleTime < 0.3) { // inspiration (washout)
-                    return 5;
-                } else if (cycleTime < 0.4) { // rapid rise
-                    return 5 + 32 * ((cycleTime-0.3)/0.1);
-                } else if (cycleTime < 0.8) { // plateau
-                    return 37;
-                } else { // fall
-                    return 37 * (1 - (cycleTime-0.8)/0.2);
-                }
+                // Capnogram from the CO2 model, including the abnormal shapes
+                return capnogram(cycleTime, 1 / (1 + patientState.get('ie')), patientState.get('etco2'),
+                    patientState.get('fico2'), patientState.get('capnoShape'));
+            case 'sev':
+                // Agent: inspired level while breathing in, swings to expired on the way out, 10px per %
+                const sevInsp = patientState.get('sevInsp');
+                const sevExp = patientState.get('sevExp');
+                const sevTi = 1 / (1 + patientState.get('ie'));
+                if (cycleTime < sevTi) {
+                    return sevInsp * 10;
+                }
+                return (sevInsp + (sevExp - sevInsp) * Math.min((cycleTime - sevTi) / 0.08, 1)) * 10;
             default:
                 return 0;
         }
     }
 
-    cubicInterpolation(p0, p1, p2, p3, t) {
-        const t2 = t * t;
-        const t3 = t2 * t;
-        
-        // Cubic Bezier formula
-        return (1 - t3) * p0 +
-               3 * (1 - t2) * t * p1 +
-               3 * (1 - t) * t2 * p2 +
-               t3 * p3;
-    }
-
     update(time) {
         const width = this.canvas.width / window.devicePixelRatio;
         const height = this.canvas.height / window.devicePixelRatio;
@@ -211,8 +157,10 @@ class WaveformRenderer {
 
 // P-V Loop renderer zone
 class PVLoopRenderer {
-    constructor(canvas) {
+    constructor(canvas, clock, ventilator) {
         this.canvas = canvas;
+        this.clock = clock;
+        this.ventilator = ventilator;
         this.ctx = canvas.getContext('2d');
         
         // call the resize canvas func, listen for resizing window  
@@ -258,23 +206,14 @@ class PVLoopRenderer {
         this.ctx.lineTo(width-20, height-20);
         this.ctx.stroke();
 
-        // Generate loop point with realistic breathing mechanics
-        const cycle = (time * 12/60) % 1; // 12 breaths per minute
-        let pressure, volume;
-        
-        if(cycle < 0.3) { // Inspiration (30% of cycle)
-            const t = cycle/0.3;
-            pressure = 5 + 25 * Math.pow(t, 2); // PEEP of 5, max 30 cmH2O
-            volume = 500 * Math.pow(t, 1.5); // Non-linear volume increase
-        } else { // Expiration (70% of cycle)
-            const t = (cycle - 0.3)/0.7;
-            pressure = 30 * Math.pow(1-t, 0.5) + 5; // Exponential decay to PEEP
-            volume = 500 * Math.pow(1-t, 2); // Faster initial exhale
-        }
+        // Generate loop point from the ventilator model
+        const { paw: pressure, volume } = this.ventilator.sample(this.clock.phase);
 
-        // Scale and offset points
-        const x = width/6 + (pressure/40) * (width - width/6 - 20);
-        const y = height-20 - (volume/600) * (height - 40);
+        // Scale and offset points, axes grow with Pmax / VT so big breaths stay on screen
+        const pressureRange = Math.max(40, patientState.get('pmax') + 5);
+        const volumeRange = Math.max(600, patientState.get('vt') * 1.2);
+        const x = width/6 + (pressure/pressureRange) * (width - width/6 - 20);
+        const y = height-20 - (volume/volumeRange) * (height - 40);
         
         // Store point with opacity for fade effect
         this.fadePoints.push({x, y, opacity: 1});
@@ -316,6 +255,14 @@ class AnaesthesiaMonitor extends HTMLElement {
                     min-width: 0;
                     min-height: 0;
                 }
+                /* learner view: the instructor console drives everything */
+                :host([display-only]) .physical-panel {
+                    display: none;
+                }
+                :host([display-only]) .control-dial,
+                :host([display-only]) .mode-toggle {
+                    pointer-events: none;
+                }
                 .monitor {
                     display: flex;
                     flex-direction: column;
@@ -338,10 +285,9 @@ class AnaesthesiaMonitor extends HTMLElement {
                     padding: 8px;
                     transition: all 0.3s;
                 }
-                .status-bar.warning {
-                    background: yellow;
-                    color: black;
-                }
+                ${ALARM_BAR_STYLE}
+                ${TREND_STYLE}
+                ${CUSTOM_WAVE_STYLE}
                 .waveform-area {
                     flex: 1 1 0;
                     min-height: 0;
@@ -502,18 +448,20 @@ class AnaesthesiaMonitor extends HTMLElement {
                     transform: translate(-50%, -50%);
                     border-radius: 2px;
                 }
-                .load-waveform {
+                .control-dial.inactive {
+                    opacity: 0.4;
+                }
+                .control-dial.guarded {
+                    border-color: #ff9800;
+                }
+                .mode-toggle {
+                    align-self: center;
                     background: none;
-                    border: 1px solid #333;
-                    color: #666;
+                    border: 1px solid #666;
+                    color: #fff;
                     padding: 4px 8px;
                     cursor: pointer;
                     border-radius: 4px;
-                    transition: all 0.3s;
-                }
-                .load-waveform:hover {
-                    background: #333;
-                    color: #fff;
                 }
             </style>
 
@@ -521,69 +469,93 @@ class AnaesthesiaMonitor extends HTMLElement {
 
             <div class="monitor">
                 <div class="display">
-                    <div class="status-bar">Status message goes here</div>
+                    <div class="trend-view" id="trendView"></div>
+                    <div class="status-bar">
+                        <span class="status-text">Status message goes here</span>
+                        <button class="silence-button" id="silenceButton" title="Pause alarm sounds for 2 minutes">SILENCE</button>
+                        <button class="off-button" id="alarmsOffButton" title="Turn all alarms off / back on">ALARMS OFF</button>
+                        <button class="trend-button" id="trendButton">trends</button>
+                        <button class="limits-button" id="limitsButton">limits</button>
+                        <div class="limits-popup" id="limitsPopup" style="display:none"></div>
+                    </div>
                     <div class="waveform-area">
                         <canvas class="pv-loop" id="pvLoop"></canvas>
                         <div class="waveforms">
                             <div class="waveform">
                                 <canvas class="waveform-display" id="vteWaveform"></canvas>
-                                <div class="value-display" style="color: #0f0">840 mL</div>
-                                <button class="load-waveform" title="Load Custom Waveform">
-                                    <i class="fas fa-file-import"></i>
-                                </button>
+                                <div class="value-display" id="vteValue" style="color: #0f0">500 mL</div>
+                                ${customWaveControls('vte')}
                             </div>
                             <div class="waveform">
                                 <canvas class="waveform-display" id="pawWaveform"></canvas>
-                                <div class="value-display" style="color: #0ff">18 cmH₂O</div>
+                                <div class="value-display" id="pawValue" style="color: #0ff">18 cmH₂O</div>
+                                ${customWaveControls('paw')}
                             </div>
                             <div class="waveform">
                                 <canvas class="waveform-display" id="etco2Waveform"></canvas>
-                                <div class="value-display" style="color: #fff">37 mmHg</div>
+                                <div class="value-display" id="etco2Value" style="color: #fff">35 mmHg</div>
+                                ${customWaveControls('etco2')}
+                            </div>
+                            <div class="waveform">
+                                <canvas class="waveform-display" id="sevWaveform"></canvas>
+                                <div class="value-display" id="sevValue" style="color: #fafd24ff">0.0 %</div>
+                                ${customWaveControls('sev')}
                             </div>
                         </div>
                     </div>
                     <div class="controls">
                         <div class="control-set">
-                            <div class="control-dial" data-label="FG O₂" data-min="21" data-max="100">
-                                <span>FG O₂<br>21</span>
+                            <div class="control-dial" data-label="FG O₂" data-key="fgo2" data-min="21" data-max="100">
+                                <span>FG O₂<br>50</span>
                             </div>
 
-                            <div class="control-dial" data-label="L/min" data-min="0" data-max="15">
+                            <button class="mode-toggle" id="carrierGas" title="Switch balance gas between air and N₂O">AIR</button>
+
+                            <div class="control-dial" data-label="L/min" data-key="fgf" data-min="0" data-max="15">
                                 <span>L/min<br>2</span>
                             </div>
 
-                            <div class="control-dial" data-label="SEVF%" data-min="0" data-max="8">
+                            <div class="control-dial" data-label="SEVF%" data-key="sevDial" data-min="0" data-max="8">
                                 <span>SEVF%<br>2.0</span>
                             </div>
                         </div>
 
                         <div class="control-set">
-                            <div class="control-dial" data-label="Pmax" data-min="10" data-max="70">
+                            <div class="control-dial" data-label="Pmax" data-key="pmax" data-min="10" data-max="70">
                                 <span>Pmax<br>30</span>
                             </div>
 
-                            <div class="control-dial" data-label="VT" data-min="20" data-max="2000">
+                            <div class="control-dial" data-label="VT" data-key="vt" data-min="20" data-max="2000">
                                 <span>VT<br>500</span>
                             </div>
 
-                            <div class="control-dial" data-label="Rate" data-min="4" data-max="60">
+                            <div class="control-dial" data-label="Rate" data-key="rr" data-min="4" data-max="60">
                                 <span>Rate<br>12</span>
                             </div>
 
-                            <div class="control-dial" data-label="PEEP" data-min="0" data-max="20">
+                            <div class="control-dial" data-label="PEEP" data-key="peep" data-min="0" data-max="20">
                                 <span>PEEP<br>5</span>
                             </div>
+
+                            <div class="control-dial" data-label="Pinsp" data-key="pinsp" data-min="5" data-max="60">
+                                <span>Pinsp<br>20</span>
+                            </div>
+
+                            <button class="mode-toggle" id="ventMode" title="Switch volume / pressure control">VCV</button>
                         </div>
 
                         <div class="gas-monitoring">
                             <div class="gas" style="color: #fafd24ff" data-label="SEVF%">
                                 <span>SEV%<br>0<br>0</span>
                             </div>
+                            <div class="gas" style="color: #f8f8f5ff" data-label="O2%">
+                                <span>O₂%<br>21<br>15</span>
+                            </div>
                             <div class="gas" style="color: #0d10c6ff" data-label="N2O%">
                                 <span>N2O%<br>0<br>0</span>
                             </div>
                             <div class="gas" style="color: #f8f8f5ff" data-label="MAC">
-                                <span>MAC<br>0<br>0.9</span>
+                                <span>MAC<br>0.0<br>40 y</span>
                             </div>
                         </div>
                     </div>
@@ -598,24 +570,55 @@ class AnaesthesiaMonitor extends HTMLElement {
     }
 
     initializeMonitor() {
+        // Ventilator model and the breath clock everything respiratory is timed from
+        // (the measured values themselves are published by the simulation, once a breath)
+        this.ventilator = new Ventilator(patientState);
+        this.breathClock = breathClock;
+
         // Initialize waveform renderers
         this.waveforms = {
-            vte: new WaveformRenderer(this.shadowRoot.getElementById('vteWaveform'), 'vte'),
-            paw: new WaveformRenderer(this.shadowRoot.getElementById('pawWaveform'), 'paw'),
-            etco2: new WaveformRenderer(this.shadowRoot.getElementById('etco2Waveform'), 'etco2')
+            vte: new WaveformRenderer(this.shadowRoot.getElementById('vteWaveform'), 'vte', this.breathClock, this.ventilator),
+            paw: new WaveformRenderer(this.shadowRoot.getElementById('pawWaveform'), 'paw', this.breathClock, this.ventilator),
+            etco2: new WaveformRenderer(this.shadowRoot.getElementById('etco2Waveform'), 'etco2', this.breathClock, this.ventilator),
+            sev: new WaveformRenderer(this.shadowRoot.getElementById('sevWaveform'), 'sev', this.breathClock, this.ventilator)
         };
 
         // Initialize P-V loop renderer
-        this.pvLoop = new PVLoopRenderer(this.shadowRoot.getElementById('pvLoop'));
+        this.pvLoop = new PVLoopRenderer(this.shadowRoot.getElementById('pvLoop'), this.breathClock, this.ventilator);
+
+        // Keep dials and numerics in step with the shared patient state
+        this.renderValues();
+        patientState.onChange(() => this.renderValues());
+        this.initAlarms();
+        this.initTrends();
+
+        // learner view: dials only show what the instructor console set
+        if (this.hasAttribute('display-only')) {
+            this.startTime = performance.now();
+            this.animate();
+            return;
+        }
 
         // Initialize rotary knob interaction
         this.initializeRotaryKnob();
 
-        // Add load waveform button handler
-        const loadWaveformBtn = this.shadowRoot.querySelector('.load-waveform');
-        if (loadWaveformBtn) {
-            loadWaveformBtn.addEventListener('click', () => this.loadCustomWaveform());
-        }
+        // Volume / pressure control toggle
+        const ventModeBtn = this.shadowRoot.getElementById('ventMode');
+        ventModeBtn.addEventListener('click', () => {
+            patientState.set('ventMode', patientState.get('ventMode') === 'VCV' ? 'PCV' : 'VCV');
+        });
+
+        // Air / N2O balance gas toggle
+        const carrierBtn = this.shadowRoot.getElementById('carrierGas');
+        carrierBtn.addEventListener('click', () => {
+            patientState.set('carrier', patientState.get('carrier') === 'air' ? 'n2o' : 'air');
+        });
+
+        // Editor waveforms on any channel
+        bindCustomWaveforms(this.shadowRoot, this.waveforms, (message, color) => flashStatus(this.shadowRoot, this.showAlarms, message, color));
+
+        // Gas uptake and the other slow models run on their own timer
+        simulation.start();
 
         // Start animation
         this.startTime = performance.now();
@@ -651,6 +654,11 @@ class AnaesthesiaMonitor extends HTMLElement {
             };
             startAngle = Math.atan2(e.clientY - center.y, e.clientX - center.x);
             this.knobRotation = this.knobRotation || 0;
+            // remember where the dial started so the whole turn is logged once on release
+            if (this.selectedControl) {
+                const key = this.selectedControl.dataset.key;
+                this.knobStart = { key, value: patientState.get(key) };
+            }
         });
 
         window.addEventListener('mousemove', (e) => {
@@ -678,45 +686,27 @@ class AnaesthesiaMonitor extends HTMLElement {
                 const rawValue = min + (normalizedRotation / 360) * (max - min);
                 const value = Math.min(Math.max(rawValue, min), max);
                 
-                // Format value based on type
-                let displayValue;
-                if (this.selectedControl.dataset.label === 'SEVF%') {
-                    displayValue = value.toFixed(1);
-                } else {
-                    displayValue = Math.round(value);
-                }
+                // Round value based on type
+                const key = this.selectedControl.dataset.key;
+                const stepped = key === 'sevDial' ? Math.round(value * 10) / 10 : Math.round(value);
 
                 // Calculate rotation based on clamped value to prevent over-rotation display
                 const clampedRotation = ((value - min) / (max - min)) * 360;
                 knob.style.transform = `rotate(${clampedRotation}deg)`;
 
-                //update both knob and gas display
-                if (this.selectedControl.dataset.label === 'SEVF%') {
-                    displayValue = value.toFixed(1);
-                    this.sevfValue = displayValue; // Store the value
-                    
-                    // Update the gas display as well
-                    const gasSevf = this.shadowRoot.querySelector('.gas[data-label="SEVF%"] span');
-                    
-                if (gasSevf) {
-                    gasSevf.innerHTML = `SEV%<br>${displayValue}<br>0`;
-                    const sevEvent = new CustomEvent('sevChange', { detail: { value: sevfValue } });
-                    window.dispatchEvent(sevEvent);
-                    
-                }
-}
-                
-                // Update text display
-                this.selectedControl.innerHTML = `<span>${this.selectedControl.dataset.label}<br>${displayValue}</span>`;
-                
-                // Calculate and update the indicator arc length
-                const percentage = (value - min) / (max - min);
-                const arcLength = percentage * 360;
-                this.selectedControl.style.setProperty('--arc-length', `${arcLength}deg`);
+                // Dial text, arc and the gas displays all redraw from the patient state
+                patientState.set(key, stepped, 'knob');
             }
         });
 
         window.addEventListener('mouseup', () => {
+            if (isDragging && this.knobStart) {
+                const { key, value } = this.knobStart;
+                if (patientState.get(key) !== value) {
+                    eventLog.log({ type: 'knob', source: 'knob', key, from: value, value: patientState.get(key) });
+                }
+                this.knobStart = null;
+            }
             isDragging = false;
             if (this.selectedControl) {
                 const min = parseFloat(this.selectedControl.dataset.min);
@@ -745,55 +735,68 @@ class AnaesthesiaMonitor extends HTMLElement {
         });
     }
 
-    loadCustomWaveform() {
-        // Create a file input element
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-        
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const waveformData = JSON.parse(event.target.result);
-                    // Set the custom waveform for the VTE renderer
-                    this.waveforms.vte.setCustomWaveform(waveformData);
-                    
-                    // Show success message in status bar
-                    const statusBar = this.shadowRoot.querySelector('.status-bar');
-                    if (statusBar) {
-                        statusBar.textContent = 'Custom waveform loaded successfully';
-                        statusBar.style.background = '#4caf50';
-                        setTimeout(() => {
-                            statusBar.textContent = 'Status message goes here';
-                            statusBar.style.background = '#666';
-                        }, 3000);
-                    }
-                } catch (error) {
-                    console.error('Error loading waveform:', error);
-                    // Show error message in status bar
-                    const statusBar = this.shadowRoot.querySelector('.status-bar');
-                    if (statusBar) {
-                        statusBar.textContent = 'Error loading waveform file';
-                        statusBar.style.background = '#f44336';
-                        setTimeout(() => {
-                            statusBar.textContent = 'Status message goes here';
-                            statusBar.style.background = '#666';
-                        }, 3000);
-                    }
-                }
-            };
-            reader.readAsText(file);
-        };
-        
-        input.click();
+    formatControl(key, value) {
+        return key === 'sevDial' ? Number(value).toFixed(1) : value;
+    }
+
+    renderValues() {
+        const state = patientState.getState();
+
+        this.shadowRoot.querySelectorAll('.control-dial').forEach(control => {
+            const key = control.dataset.key;
+            const min = parseFloat(control.dataset.min);
+            const max = parseFloat(control.dataset.max);
+            control.innerHTML = `<span>${control.dataset.label}<br>${this.formatControl(key, state[key])}</span>`;
+
+            // Calculate and update the indicator arc length
+            const percentage = (state[key] - min) / (max - min);
+            control.style.setProperty('--arc-length', `${percentage * 360}deg`);
+        });
+
+        // VT is only a target in volume control, Pinsp only in pressure control
+        this.shadowRoot.getElementById('ventMode').textContent = state.ventMode;
+        this.shadowRoot.querySelector('.control-dial[data-key="vt"]').classList.toggle('inactive', state.ventMode === 'PCV');
+        this.shadowRoot.querySelector('.control-dial[data-key="pinsp"]').classList.toggle('inactive', state.ventMode === 'VCV');
+
+        // Hypoxic guard is holding O2 up above what the dial says
+        this.shadowRoot.getElementById('carrierGas').textContent = state.carrier === 'n2o' ? 'N₂O' : 'AIR';
+        const fgo2Dial = this.shadowRoot.querySelector('.control-dial[data-key="fgo2"]');
+        fgo2Dial.classList.toggle('guarded', state.hypoxicGuard);
+        fgo2Dial.title = state.hypoxicGuard ? 'Hypoxic guard active' : '';
+
+        const gasO2 = this.shadowRoot.querySelector('.gas[data-label="O2%"] span');
+        if (gasO2) gasO2.innerHTML = `O₂%<br>${state.fio2}<br>${state.eto2}`;
+        const gasN2o = this.shadowRoot.querySelector('.gas[data-label="N2O%"] span');
+        if (gasN2o) gasN2o.innerHTML = `N2O%<br>${state.n2oInsp}<br>${state.n2oExp}`;
+
+        const gasSevf = this.shadowRoot.querySelector('.gas[data-label="SEVF%"] span');
+        if (gasSevf) gasSevf.innerHTML = `SEV%<br>${state.sevInsp.toFixed(1)}<br>${state.sevExp.toFixed(1)}`;
+
+        // MAC is age adjusted, so show the age it was worked out for
+        const gasMac = this.shadowRoot.querySelector('.gas[data-label="MAC"] span');
+        if (gasMac) gasMac.innerHTML = `MAC<br>${state.mac.toFixed(1)}<br>${state.age} y`;
+        this.shadowRoot.getElementById('sevValue').textContent = `${state.sevExp.toFixed(1)} %`;
+
+        this.shadowRoot.getElementById('vteValue').textContent = `${state.vte} mL`;
+        this.shadowRoot.getElementById('pawValue').textContent = `${state.ppeak} cmH₂O`;
+        this.shadowRoot.getElementById('etco2Value').textContent = `${state.etco2} mmHg`;
+    }
+
+    // Status bar follows the alarm engine; the limits button opens this screen's limits
+    initAlarms() {
+        this.showAlarms = bindAlarmBar(this.shadowRoot, alarms, 'anaesthesia');
+    }
+
+    // Trend screen over the monitor, from the shared trend recorder
+    initTrends() {
+        const trends = new TrendView(this.shadowRoot.getElementById('trendView'), trendRecorder, 'anaesthesia');
+        this.shadowRoot.getElementById('trendButton').onclick = () => trends.toggle();
+        trendRecorder.start();
     }
 
     animate() {
         const time = (performance.now() - this.startTime) / 1000;
+        tickClocks();
 
         // Update waveforms
         Object.values(this.waveforms).forEach(waveform => {
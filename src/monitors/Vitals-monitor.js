@@ -1,16 +1,39 @@
 // Vitals-monitor.js
 // Monitors: Heart Rate, SpO2, Arterial Pressure, etCO2 :)
+import patientState, { ARREST_RHYTHMS } from './patient-state.js';
+import { cardiacClock, breathClock, tickClocks } from './clocks.js';
+import rhythmGenerator, { RHYTHMS, LEADS, stInLead } from './rhythms.js';
+import { capnogram, CAPNO_SHAPES } from './capnography.js';
+import { arterialPressure, DAMPING_STATES } from './arterial.js';
+import { plethysmogram, spo2Reading, SIGNAL_STATES } from './pleth.js';
+import simulation from './simulation.js';
+import scenarioRunner from './scenario-runner.js';
+import valueRamps, { CURVES } from './value-ramps.js';
+import eventLog from './event-log.js';
+import alarms from './alarms.js';
+import { bindAlarmBar, flashStatus, ALARM_BAR_STYLE } from './alarm-ui.js';
+import monitorAudio from './monitor-audio.js';
+import trendRecorder from './trend-recorder.js';
+import { TrendView, TREND_STYLE } from './trend-ui.js';
+import nibp, { INTERVALS } from './nibp.js';
+import { customWaveformHeight, baselineRatio } from './custom-waveform.js';
+import { bindCustomWaveforms, customWaveControls, CUSTOM_WAVE_STYLE } from './custom-waveform-ui.js';
+
+const ART_SCALE = 0.25; // px per mmHg on the art trace
 
 class VitalsWaveformRenderer {
-    constructor(canvas, type) {
+    constructor(canvas, type, clock) {
         this.canvas = canvas;
         this.type = type;
+        this.clock = clock; // cardiac CycleClock (breath clock for etCO2) shared so traces stay in step
         this.ctx = canvas.getContext('2d');
         this.printHead = 0;
         this.data = [];
-        this.customWaveform = null;
+        this.customWaveform = null; // editor waveform played instead of the built-in trace
+        this.customScale = 1;
         this.waveformOffset = 0;
         this.baselineY = 0;
+        this.lead = 'II'; // ECG traces only
 
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -28,19 +51,21 @@ class VitalsWaveformRenderer {
         const width = Math.floor(this.canvas.width / window.devicePixelRatio);
         this.data = new Array(width).fill(0);
 
-        // Set default baseline
+        // Set baseline, where the custom waveform's editor had it if there is one
         const height = this.canvas.height / window.devicePixelRatio;
-        this.baselineY = height * 0.67;
+        this.baselineY = height * baselineRatio(this.customWaveform);
     }
 
-        setCustomVitalsWaveform(waveformData) {
-        this.customWave = waveformData;
-        
-        // Update baseline if provided in metadata
-        if (waveformData.metadata && typeof waveformData.metadata.baselineRatio === 'number') {
-            const height = this.canvas.height / window.devicePixelRatio;
-            this.baselineY = height * waveformData.metadata.baselineRatio;
-        }
+    setCustomWaveform(waveformData, scale = 1) {
+        this.customWaveform = waveformData;
+        this.customScale = scale;
+        this.baselineY = this.canvas.height / window.devicePixelRatio * baselineRatio(waveformData);
+    }
+
+    //back to the built-in trace
+    clearCustomWaveform() {
+        this.customWaveform = null;
+        this.baselineY = this.canvas.height / window.devicePixelRatio * baselineRatio(null);
     }
 
     getColor() {
@@ -49,7 +74,7 @@ class VitalsWaveformRenderer {
             ST: '#24cf21ff',
             spo2: '#02dafcff',
             art: '#c40000ff',
-            etCO2: '#ffffff'
+            etco2: '#ffffff'
         };
         return colors[this.type] || '#FFF';
     }
@@ -57,32 +82,58 @@ class VitalsWaveformRenderer {
 
     //generates mathematically plausible-ish values for the canvas to draw
     generateDataPoint(time) {
-        // Simulate different waveforms
-        const bpm = 75;
-        const cycle = (time * bpm / 60) % 1;
+        // Simulate different waveforms, all timed off the same heartbeat
+        const cycle = this.clock.phase;
+        // no output, no pulse (PEA still has an ECG)
+        const pulseless = ARREST_RHYTHMS.includes(patientState.get('rhythm'));
+
+        if (this.customWaveform) return this.customDataPoint(pulseless);
 
         switch(this.type) {
             
-            case 'hr': // Heart rate (ECG-like)
-                // Simple QRS complex
-                if (cycle < 0.05) return 40 * Math.exp(-100 * Math.pow(cycle - 0.025, 2));
-                if (cycle < 0.1) return -10 * Math.exp(-200 * Math.pow(cycle - 0.075, 2));
-                return 0;
-            case 'spo2': // SpO2 plethysmograph
-                //add case for low perfusion
-                const spo2Rate = 1.2; // Hz
-                return 20 * Math.sin(2 * Math.PI * spo2Rate * time) + 10 * Math.sin(4 * Math.PI * spo2Rate * time);
-            case 'art': // Arterial pressure SAME AS SPO2 RN WILL NEED TO CHANGE
-                const sys = 120, dia = 80;
-                const artRate = 1.4;
-                return 20 * Math.sin(2 * Math.PI * artRate * time) + 10 * Math.sin(4 * Math.PI * artRate * time);
-                //if (cycle < 0.2) return sys - (sys - dia) * (cycle / 0.2);
-                //return dia + (sys - dia) * Math.exp(-10 * (cycle - 0.2));
+            case 'hr': // Heart rate (ECG), beat by beat from the rhythm library
+            case 'ST': // second ECG lead, where the ST changes usually get watched
+                return rhythmGenerator.sample(time, this.lead);
+            case 'spo2': { // SpO2 plethysmograph, height from the perfusion index
+                const spo2Cycle = this.clock.delayedPhase(0.25); // pulse reaches the finger ~250ms after the QRS
+                const period = this.clock.getPeriod();
+                return plethysmogram(spo2Cycle * period, period, {
+                    pi: pulseless ? 0 : patientState.get('pi'),
+                    signal: patientState.get('spo2Signal'),
+                    time
+                });
+            }
+            case 'art': { // Arterial pressure, scaled so 0 mmHg sits on the baseline
+                if (pulseless) return 0;
+                const artCycle = this.clock.delayedPhase(0.15); // radial pulse lags the QRS a little less
+                const period = this.clock.getPeriod();
+                return ART_SCALE * arterialPressure(artCycle * period, period, {
+                    sys: patientState.get('sys'),
+                    dia: patientState.get('dia'),
+                    damping: patientState.get('artDamping'),
+                    ppv: patientState.get('ppv'),
+                    breathPhase: breathClock.phase
+                });
+            }
+            case 'etco2': // capnogram, timed off the breath clock
+                return capnogram(cycle, 1 / (1 + patientState.get('ie')), patientState.get('etco2'),
+                    patientState.get('fico2'), patientState.get('capnoShape'));
             default:
                 return 0;
         }
     }
 
+    //editor waveform, one per beat (or breath), lagging the QRS like the built-in pleth and art do
+    customDataPoint(pulseless) {
+        let cycle = this.clock.phase;
+        if (this.type === 'spo2' || this.type === 'art') {
+            if (pulseless) return 0;
+            cycle = this.clock.delayedPhase(this.type === 'spo2' ? 0.25 : 0.15);
+        }
+        const height = this.canvas.height / window.devicePixelRatio;
+        return customWaveformHeight(this.customWaveform, cycle, height, this.customScale);
+    }
+
     update(time) {
         const width = this.canvas.width / window.devicePixelRatio;
         const height = this.canvas.height / window.devicePixelRatio;
@@ -189,7 +240,13 @@ class Queue {
     }
 }
 
-
+//which patientState key each clickable value displays (art is sys/dia/map, NIBP is its own reading)
+const VALUE_KEYS = {
+    hr: 'hr',
+    ST: 'st',
+    spo2: 'spo2',
+    etco2: 'etco2'
+};
 
 class VitalsMonitor extends HTMLElement {
     constructor() {
@@ -210,6 +267,15 @@ class VitalsMonitor extends HTMLElement {
                     min-height: 0;
                 }
 
+                /* learner view: the instructor console drives everything */
+                :host([display-only]) .scenario-bar,
+                :host([display-only]) .mini-row {
+                    display: none;
+                }
+                :host([display-only]) .vital-value {
+                    cursor: default !important;
+                }
+
                 .monitor { 
                     display: flex;
                     flex-direction: column;
@@ -229,9 +295,21 @@ class VitalsMonitor extends HTMLElement {
                     transition: all 0.3s;
                 }
 
-                .status-bar.warning {
-                    background: yellow;
-                    color: black;
+                ${ALARM_BAR_STYLE}
+                ${TREND_STYLE}
+                ${CUSTOM_WAVE_STYLE}
+
+                .scenario-bar {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 4px 0;
+                    font-size: 0.8em;
+                    color: #ccc;
+                }
+
+                .scenario-bar .error {
+                    color: #f44336;
                 }
 
                 .vitals-area { 
@@ -301,6 +379,12 @@ class VitalsMonitor extends HTMLElement {
                 .vital-label.ST, .vital-value.ST { color: #2fff00ff; }
                 .vital-label.etco2, .vital-value.etco2 { color: #ffffff; }
                 .vital-label.NIBP, .vital-value.NIBP { color: #ffffff; }
+                .lead-select {
+                    background: black;
+                    color: inherit;
+                    border: none;
+                    font-weight: bold;
+                }
 
 
                 /* gas display styling*/
@@ -343,6 +427,27 @@ class VitalsMonitor extends HTMLElement {
                     color: #ccc;
                     margin-left: 4px;
                 }
+                .nibp-panel {
+                    flex: 1 1 0;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 3px;
+                    color: #ccc;
+                    font-size: 0.8em;
+                }
+                .nibp-cuff {
+                    height: 6px;
+                    background: #333;
+                }
+                .nibp-bar {
+                    display: block;
+                    height: 100%;
+                    width: 0;
+                    background: #ffffff;
+                }
+                .nibp-controls button.active {
+                    background: #fafd24;
+                }
 
                 /* popup window modal style */
 
@@ -407,6 +512,27 @@ class VitalsMonitor extends HTMLElement {
                     z-index: 200;
                     pointer-events: auto;
                 }
+
+                .mini-group {
+                    display: flex;
+                    flex-direction: row;
+                    gap: 10px;
+                }
+
+                .mini-row .mini-modal.ramp {
+                    border: 1px solid #00ff00df;
+                }
+
+                .ramp-bar {
+                    height: 6px;
+                    background-color: #2b2b2b;
+                    margin-top: 4px;
+                }
+
+                .ramp-bar div {
+                    height: 100%;
+                    background-color: #00ff00;
+                }
                   
 
                 .close-button {
@@ -478,37 +604,60 @@ class VitalsMonitor extends HTMLElement {
 
             <div class="monitor">
                 <div class="display">
-                     <div class="status-bar">Status message goes here</div>
+                    <div class="trend-view" id="trendView"></div>
+                     <div class="status-bar">
+                        <span class="status-text">Status message goes here</span>
+                        <button class="silence-button" id="silenceButton" title="Pause alarm sounds for 2 minutes">SILENCE</button>
+                        <button class="off-button" id="alarmsOffButton" title="Turn all alarms off / back on">ALARMS OFF</button>
+                        <label class="volume-control" title="Alarm and beep volume">VOL <input type="range" min="0" max="100" id="volume"></label>
+                        <button class="trend-button" id="trendButton">trends</button>
+                        <button class="limits-button" id="limitsButton">limits</button>
+                        <div class="limits-popup" id="limitsPopup" style="display:none"></div>
+                     </div>
+
+                    <div class="scenario-bar">
+                        <button id="loadScenario">load scenario</button>
+                        <span id="scenarioName">No scenario</span>
+                        <select id="scenarioState" title="Jump to state" style="display:none"></select>
+                        <button id="stopScenario" style="display:none">stop</button>
+                        <button id="exportCsv" title="Download this session's event log">log CSV</button>
+                        <button id="exportJson" title="Download this session's event log">log JSON</button>
+                    </div>
 
                     <div class="vitals-area">
                         <div class="vital-row">
-                            <span class="vital-label hr">HR</span>
+                            <span class="vital-label hr">HR <select class="lead-select" id="hrLead" title="ECG lead"></select></span>
                             <canvas class="vital-canvas" data-label="hrCanvas" id="hrCanvas"></canvas>
+                            ${customWaveControls('hr')}
                             <button class="vital-value hr" data-label="hrValue" id="hr" style="cursor:pointer">75</button> bpm
                         </div>
 
                         <div class="vital-row">
-                            <span class="vital-label ST">ST ||</span>
+                            <span class="vital-label ST">ST <select class="lead-select" id="STLead" title="ECG lead"></select></span>
                             <canvas class="vital-canvas" data-label="STCanvas" id="STCanvas"></canvas>
+                            ${customWaveControls('ST')}
                             <button class="vital-value ST" data-label="STValue" id="ST" style="cursor:pointer">0.3</button> mm
                         </div>
                         
                         <div class="vital-row">
                             <span class="vital-label art">ART</span>
                             <canvas class="vital-canvas" data-label="artCanvas" id="artCanvas"></canvas>
-                            <button class="vital-value art" id="art" data-label="artValue" style="cursor:pointer">120 / 80 / 90</button> 
+                            ${customWaveControls('art')}
+                            <button class="vital-value art" id="art" data-label="artValue" style="cursor:pointer">120 / 80 (93)</button> 
                         </div>
 
                         <div class="vital-row">
                             <span class="vital-label spo2">SpO₂</span>
                             <canvas class="vital-canvas" data-label="spo2Canvas" id="spo2Canvas"></canvas>
+                            ${customWaveControls('spo2')}
                             <button class="vital-value spo2" data-label="spo2Value" id="spo2" style="cursor:pointer">98</button>%
                         </div>
 
                         <div class="vital-row">
                             <span class="vital-label etCO2">etCO2</span>
                             <canvas class="vital-canvas" data-label="etco2Canvas" id="etCO2Canvas"></canvas>
-                            <button class="vital-value etco2" id="etco2" data-label="etCO2Value" style="cursor:pointer">32</button> mmHg
+                            ${customWaveControls('etco2')}
+                            <button class="vital-value etco2" id="etco2" data-label="etCO2Value" style="cursor:pointer">35</button> mmHg
                         </div>
 
                         <div class="vital-row">
@@ -517,12 +666,25 @@ class VitalsMonitor extends HTMLElement {
                                 <div id="nibpHistory"></div>
                             </div>
                             <span id="oldNIBP" class="oldNIBP"><br></span>
-                            <canvas class="vital-canvas" data-label="NIBP" id="NIBP" style="border:none"></canvas>
-                            <button class="vital-value NIBP" data-label="NIBP" id="NIBP" style="cursor:pointer">118 / 80 / 90 </button> mmHg
+                            <div class="nibp-panel">
+                                <div class="nibp-cuff"><span class="nibp-bar" id="nibpBar"></span></div>
+                                <span id="nibpStatus"></span>
+                                <div class="nibp-controls">
+                                    <button id="nibpStart">START</button>
+                                    <select id="nibpInterval" title="Automatic readings">
+                                        ${INTERVALS.map(minutes => `<option value="${minutes}">${minutes ? `every ${minutes} min` : 'manual'}</option>`).join('')}
+                                    </select>
+                                    <button id="nibpStat" title="Back-to-back readings for 5 minutes">STAT</button>
+                                </div>
+                            </div>
+                            <button class="vital-value NIBP" data-label="NIBP" id="NIBP" style="cursor:pointer">--- / --- (---)</button> mmHg
                         </div>
                     </div>
 
-                    <div class="mini-row" id="miniRow"></div>
+                    <div class="mini-row">
+                        <div class="mini-group" id="rampRow"></div>
+                        <div class="mini-group" id="miniRow"></div>
+                    </div>
 
                     <div class="modal" id="valModal">
                         <div class="modal-content">
@@ -542,6 +704,40 @@ class VitalsMonitor extends HTMLElement {
                                 <input type="number" id="diaVal" class="input-number"><br>
                                 MeanArtPress: <input type='range' min='0' max="300" value="90" class="slider" id='mapRange'>
                                 <input type="number" id="mapVal" class="input-number"><br>
+                                <span id="artOptions">
+                                    Damping: <select id="artDamping">
+                                        ${DAMPING_STATES.map(state => `<option value="${state}">${state}</option>`).join('')}
+                                    </select>
+                                    PPV: <input type="number" min="0" max="40" id="ppv" class="input-number"> %
+                                </span>
+                            </div>
+                            <div class="slidecontainer" id="rhythmOptions" style="display:none;">
+                                Rhythm: <select id="rhythm">
+                                    ${Object.entries(RHYTHMS).map(([name, rhythm]) => `<option value="${name}">${rhythm.label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="slidecontainer" id="stOptions" style="display:none;">
+                                <label><input type="checkbox" id="tInverted"> T wave inverted</label>
+                            </div>
+                            <div class="slidecontainer" id="plethOptions" style="display:none;">
+                                PI: <input type="number" min="0" max="20" step="0.1" id="pi" class="input-number"> %
+                                Probe: <select id="spo2Signal">
+                                    ${SIGNAL_STATES.map(signal => `<option value="${signal}">${signal}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="slidecontainer" id="capnoOptions" style="display:none;">
+                                Capnogram: <select id="capnoShape">
+                                    ${CAPNO_SHAPES.map(shape => `<option value="${shape}">${shape}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="slidecontainer" id="trendOptions">
+                                Over: <input type="number" min="0" value="0" class="input-number" id="trendDuration"> s
+                                <select id="trendCurve">
+                                    ${Object.keys(CURVES).map(curve => `<option value="${curve}">${curve}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div id="trendProgress" style="display:none;">
+                                <span id="trendText"></span> <button id="trendCancel">cancel</button>
                             </div>
                             <span><button id="start"> start </button><button id="queue"> queue </button></span>
                         </div>
@@ -550,15 +746,15 @@ class VitalsMonitor extends HTMLElement {
                     
 
                     <div class ="gas-monitoring">
-                        <div class="gas-label" data-label="o2">
-                            <span>O2 0 0</span>
+                        <div class="gas-label o2" data-label="o2">
+                            <span id="o2Gas">O2 21 15</span>
                         </div>
-                        <div class="gas-label" data-label="n2o">
-                            <span>N20 0 0</span>
+                        <div class="gas-label n2o" data-label="n2o">
+                            <span id="n2oGas">N2O 0 0</span>
                         </div>
                     </div>
                     
-                    <div class="sevf-gas" data-label="SEVF%" id="SEVF%">SEV%<br>0<br>0</div>
+                    <div class="sevf-gas" data-label="SEVF%" id="SEVF%">SEV%<br>0.0<br>0.0</div>
                     
                     
                 
@@ -573,33 +769,117 @@ class VitalsMonitor extends HTMLElement {
 
     //voila
     initializeMonitor() {
+        //one heartbeat for every trace; eases to a new HR rather than snapping
         this.vitalCanvas = {
-            hr: new VitalsWaveformRenderer(this.shadowRoot.getElementById('hrCanvas'), 'hr'),
-            spo2: new VitalsWaveformRenderer(this.shadowRoot.getElementById('spo2Canvas'), 'spo2'),
-            art: new VitalsWaveformRenderer(this.shadowRoot.getElementById('artCanvas'), 'art')
+            hr: new VitalsWaveformRenderer(this.shadowRoot.getElementById('hrCanvas'), 'hr', cardiacClock),
+            ST: new VitalsWaveformRenderer(this.shadowRoot.getElementById('STCanvas'), 'ST', cardiacClock),
+            spo2: new VitalsWaveformRenderer(this.shadowRoot.getElementById('spo2Canvas'), 'spo2', cardiacClock),
+            art: new VitalsWaveformRenderer(this.shadowRoot.getElementById('artCanvas'), 'art', cardiacClock),
+            etco2: new VitalsWaveformRenderer(this.shadowRoot.getElementById('etCO2Canvas'), 'etco2', breathClock)
         };
 
         //this.hrValue = this.shadowRoot.getElementById('hrValue');
         //this.spo2Value = this.shadowRoot.getElementById('spo2Value');
         //this.artValue = this.shadowRoot.getElementById('artValue');
         
-        this.sevChange();
-        this.initControl();
+        this.vitalCanvas.ST.lead = 'V5';
+        this.initLeads();
+        bindCustomWaveforms(this.shadowRoot, this.vitalCanvas, (message, color) => flashStatus(this.shadowRoot, this.showAlarms, message, color));
+        this.initNIBP();
+        this.bindPatientState();
+        this.initAlarms();
+        this.initTrends();
+        this.initVolume();
+        // learner view: values arrive from the instructor console, nothing here to click
+        if (!this.hasAttribute('display-only')) {
+            this.initControl();
+            this.initScenarioControls();
+            this.shadowRoot.getElementById('exportCsv').onclick = () => eventLog.download('csv');
+            this.shadowRoot.getElementById('exportJson').onclick = () => eventLog.download('json');
+            valueRamps.onChange((ramps) => {
+                this.renderRamps(ramps);
+                this.showTrendProgress();
+            });
+            simulation.start();
+        }
         //start animating the monitor (initializes time and calls animate)
         this.startTime = performance.now();
         this.animate();
     }
     
-    //dud rn but should update SEV value accoridng to other monitor
-    sevChange(){
-        window.addEventListener('sevChange', (e) => {
-            const sevfGas = this.shadowRoot.getElementById('SEVF%');
-            if (sevfGas) {
-                sevfGas.innerHTML = `SEV%<br>${e.detail.value}<br>0`;
-            }
+    //lead pickers on the two ECG rows; just a view, so display-only monitors get them too
+    initLeads(){
+        ['hr', 'ST'].forEach(type => {
+            const select = this.shadowRoot.getElementById(`${type}Lead`);
+            select.innerHTML = Object.keys(LEADS).map(lead => `<option value="${lead}">${lead}</option>`).join('');
+            select.value = this.vitalCanvas[type].lead;
+            select.onchange = () => {
+                this.vitalCanvas[type].lead = select.value;
+                this.renderValues();
+            };
         });
     }
 
+    //keep the numbers on screen in step with the shared patient state
+    bindPatientState(){
+        this.renderValues();
+        patientState.onChange((changed) => {
+            this.renderValues();
+            if ('nibpTime' in changed) this.addNIBPReading(patientState.getState());
+        });
+    }
+
+    //cuff buttons; on a learner monitor they work the instructor console's cuff
+    initNIBP(){
+        const start = this.shadowRoot.getElementById('nibpStart');
+        start.onclick = () => (patientState.get('nibpPhase') === 'idle' ? nibp.start() : nibp.stop());
+        this.shadowRoot.getElementById('nibpStat').onclick = () => nibp.stat();
+        this.shadowRoot.getElementById('nibpInterval').onchange = (e) => nibp.setInterval(Number(e.target.value));
+    }
+
+    //cuff pressure while measuring, otherwise when the next reading is due
+    renderNIBP(state){
+        const running = state.nibpPhase !== 'idle';
+        this.shadowRoot.getElementById('nibpBar').style.width = `${Math.min(state.nibpCuff / 250, 1) * 100}%`;
+        this.shadowRoot.getElementById('nibpStart').textContent = running ? 'STOP' : 'START';
+        this.shadowRoot.getElementById('nibpStat').classList.toggle('active', state.nibpStat);
+        this.shadowRoot.getElementById('nibpInterval').value = state.nibpInterval;
+
+        let status = 'manual';
+        if (running) status = `${state.nibpPhase} ${state.nibpCuff}`;
+        else if (state.nibpStat) status = 'STAT';
+        else if (state.nibpNext !== null) status = `next ${Math.floor(state.nibpNext / 60)}:${String(state.nibpNext % 60).padStart(2, '0')}`;
+        this.shadowRoot.getElementById('nibpStatus').textContent = status;
+
+        const reading = state.nibpSys === null ? '--- / --- (---)' : `${state.nibpSys} / ${state.nibpDia} (${state.nibpMap})`;
+        this.shadowRoot.getElementById('NIBP').textContent = reading;
+    }
+
+    renderValues(){
+        const state = patientState.getState();
+        Object.entries(VALUE_KEYS).forEach(([id, key]) => {
+            const el = this.shadowRoot.getElementById(id);
+            if (el) el.textContent = state[key];
+        });
+
+        // no usable pleth, no number
+        const spo2 = spo2Reading(state);
+        this.shadowRoot.getElementById('spo2').textContent = spo2 === null ? '---' : spo2;
+
+        // ST as it shows in the lead on the ST row (the patient value is lead II)
+        this.shadowRoot.getElementById('ST').textContent = stInLead(state.st, this.vitalCanvas.ST.lead);
+
+        const art = this.shadowRoot.getElementById('art');
+        if (art) art.textContent = `${state.sys} / ${state.dia} (${state.map})`;
+        this.renderNIBP(state);
+
+        this.shadowRoot.getElementById('o2Gas').textContent = `O2 ${state.fio2} ${state.eto2}`;
+        this.shadowRoot.getElementById('n2oGas').textContent = `N2O ${state.n2oInsp} ${state.n2oExp}`;
+
+        const sevfGas = this.shadowRoot.getElementById('SEVF%');
+        if (sevfGas) sevfGas.innerHTML = `SEV%<br>${state.sevInsp.toFixed(1)}<br>${state.sevExp.toFixed(1)}`;
+    }
+
     //establishes click zones
     initControl(){
         //identify the areas to update
@@ -630,14 +910,59 @@ class VitalsMonitor extends HTMLElement {
 
     }
 
+    //load / stop a scripted case and let the instructor jump between its states
+    initScenarioControls(){
+        const loadBtn = this.shadowRoot.getElementById('loadScenario');
+        const stopBtn = this.shadowRoot.getElementById('stopScenario');
+        const stateSelect = this.shadowRoot.getElementById('scenarioState');
+        const nameSpot = this.shadowRoot.getElementById('scenarioName');
+
+        loadBtn.onclick = () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json';
+            input.onchange = (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    try {
+                        scenarioRunner.load(JSON.parse(event.target.result));
+                    } catch (error) {
+                        console.error('Error loading scenario:', error);
+                        nameSpot.innerHTML = `<span class="error">${error.message}</span>`;
+                    }
+                };
+                reader.readAsText(file);
+            };
+            input.click();
+        };
+
+        stopBtn.onclick = () => scenarioRunner.stop();
+        stateSelect.onchange = () => scenarioRunner.goto(stateSelect.value);
+
+        scenarioRunner.onChange((event) => {
+            const running = event.type !== 'stop';
+            stopBtn.style.display = running ? '' : 'none';
+            stateSelect.style.display = running ? '' : 'none';
+            nameSpot.textContent = running ? event.scenario : `${event.scenario} (stopped)`;
+            if (event.type === 'transition') {
+                stateSelect.innerHTML = Object.keys(scenarioRunner.scenario.states)
+                    .map(name => `<option value="${name}">${name}</option>`)
+                    .join('');
+                stateSelect.value = event.to;
+            }
+        });
+    }
+
     //lowkey pointless func rn but can put limits on the range this way BRO WHY IS IT IN THE WAVEFORM CLASS MOVE THIS
     getMin(vital) {
         const mins = {
             hr: 0,
             spo2: 0,
             art: 0,
-            etCO2: 0,
-            ST: 0
+            etco2: 0,
+            ST: -5
         }
         return mins[vital] || 0;
     }
@@ -647,7 +972,7 @@ class VitalsMonitor extends HTMLElement {
             hr: 300,
             spo2: 100,
             art: 300,
-            etCO2: 95,
+            etco2: 95,
             ST: 5
         }
         return maxs[vital] || 220;
@@ -659,8 +984,9 @@ class VitalsMonitor extends HTMLElement {
         const modal = this.shadowRoot.getElementById("valModal");
         // Get the <span> element that closes the modal
         const span = this.shadowRoot.getElementById("modal-close");
-        //queue button
+        //queue button; an NIBP reading goes in straight away, so there's nothing to queue for it
         const q = this.shadowRoot.getElementById("queue");
+        q.style.display = conVal.id === 'NIBP' ? 'none' : '';
         //start (apply changes) button
         const btn = this.shadowRoot.getElementById("start");
         if (!btn) {
@@ -683,13 +1009,15 @@ class VitalsMonitor extends HTMLElement {
             
 
         // Temporary value holders
-        let tempValue = conVal.textContent;
+        const stateKey = VALUE_KEYS[vitalType];
+        let tempValue = stateKey ? patientState.get(stateKey) : conVal.textContent;
         let tempSys = 0, tempDia = 0, tempMap = 0;
 
         //Blood Pressure Modal
         if (vitalType === 'art' || vitalType == 'NIBP') {
             // Show ART sliders, hide single slider
             this.shadowRoot.getElementById('bloodSliders').style.display = '';
+            this.shadowRoot.getElementById('capnoOptions').style.display = 'none';
             slider.style.display = 'none';
             output.style.display = 'none';
 
@@ -701,8 +1029,10 @@ class VitalsMonitor extends HTMLElement {
             const diaVal = this.shadowRoot.getElementById('diaVal');
             const mapVal = this.shadowRoot.getElementById('mapVal');
 
-            // Parse current value (e.g., "120 / 80 / 90")
-            let [sys, dia, map] = conVal.textContent.split('/').map(v => parseInt(v, 10));
+            // Art comes from the patient, NIBP is whatever the cuff read last
+            let [sys, dia, map] = vitalType === 'art'
+                ? [patientState.get('sys'), patientState.get('dia'), patientState.get('map')]
+                : [patientState.get('nibpSys'), patientState.get('nibpDia'), patientState.get('nibpMap')];
             tempSys = sys || 120;
             tempDia = dia || 80;
             tempMap = map || 90;
@@ -713,6 +1043,18 @@ class VitalsMonitor extends HTMLElement {
             diaVal.value = tempDia;
             mapVal.value = tempMap;
 
+            // art line set-up and swing with ventilation (nothing to do with an NIBP reading)
+            const artDamping = this.shadowRoot.getElementById('artDamping');
+            const ppv = this.shadowRoot.getElementById('ppv');
+            this.shadowRoot.getElementById('artOptions').style.display = vitalType === 'art' ? '' : 'none';
+            artDamping.value = patientState.get('artDamping');
+            ppv.value = patientState.get('ppv');
+            const artChanges = () => ({
+                sys: Number(tempSys), dia: Number(tempDia), map: Number(tempMap),
+                artDamping: artDamping.value,
+                ppv: Number(ppv.value) || 0
+            });
+
             const bloodQ = new Queue();
             // Track last two changed sliders
             let lastChanged = null;
@@ -785,13 +1127,26 @@ class VitalsMonitor extends HTMLElement {
             // On start, update the vital value
             btn.onclick = () => {
                 //updateThird();
-                // Update the value first, then push to history
-                conVal.textContent = `${tempSys} / ${tempDia} (${tempMap})`;
-                if (conVal.id === 'NIBP') {
-                    this.NIBPhistory.unshift(conVal.textContent);
-                    if (this.NIBPhistory.length > 5) this.NIBPhistory.pop();
-                    this.showNIBPHistory();
+                if (vitalType === 'art') {
+                    valueRamps.start(artChanges(), this.trendSettings('ART'));
+                    modal.style.display = "none";
+                    return;
                 }
+                // NIBP: put a reading in by hand, as if the cuff had just taken it
+                patientState.update({
+                    nibpSys: Number(tempSys), nibpDia: Number(tempDia), nibpMap: Number(tempMap), nibpTime: Date.now()
+                });
+                modal.style.display = "none";
+            };
+
+            q.onclick = () => {
+                this.miniModalQueue.push({
+                    label: 'ART',
+                    value: `${tempSys} / ${tempDia} (${tempMap})`,
+                    changes: artChanges(),
+                    ...this.trendSettings('ART')
+                });
+                this.renderMiniModals();
                 modal.style.display = "none";
             };
         } else {
@@ -800,8 +1155,41 @@ class VitalsMonitor extends HTMLElement {
             slider.style.display = '';
             output.style.display = '';
             // Set initial value
-            slider.value = conVal.textContent;
+            slider.step = vitalType === 'ST' ? 0.1 : 1;
+            slider.value = tempValue;
             output.value = slider.value;
+
+            // ST also sets the T wave
+            const tInverted = this.shadowRoot.getElementById('tInverted');
+            this.shadowRoot.getElementById('stOptions').style.display = vitalType === 'ST' ? '' : 'none';
+            tInverted.checked = patientState.get('tInverted');
+
+            // SpO2 also sets how good a pleth the probe is getting
+            const pi = this.shadowRoot.getElementById('pi');
+            const spo2Signal = this.shadowRoot.getElementById('spo2Signal');
+            this.shadowRoot.getElementById('plethOptions').style.display = vitalType === 'spo2' ? '' : 'none';
+            pi.value = patientState.get('pi');
+            spo2Signal.value = patientState.get('spo2Signal');
+            const plethChanges = () => ({ pi: Number(pi.value) || 0, spo2Signal: spo2Signal.value });
+
+            // etCO2 also picks the capnogram shape
+            const capnoOptions = this.shadowRoot.getElementById('capnoOptions');
+            const capnoShape = this.shadowRoot.getElementById('capnoShape');
+            capnoOptions.style.display = vitalType === 'etco2' ? '' : 'none';
+            capnoShape.value = patientState.get('capnoShape');
+
+            // HR also picks the rhythm; picking one moves the rate to something typical for it
+            const rhythmOptions = this.shadowRoot.getElementById('rhythmOptions');
+            const rhythm = this.shadowRoot.getElementById('rhythm');
+            rhythmOptions.style.display = vitalType === 'hr' ? '' : 'none';
+            rhythm.value = patientState.get('rhythm');
+            rhythm.onchange = () => {
+                const rate = RHYTHMS[rhythm.value].rate;
+                if (rate === null) return;
+                slider.value = rate;
+                output.value = rate;
+                tempValue = rate;
+            };
             // Sync slider <-> input
             slider.oninput = function() {
                 output.value = this.value;
@@ -811,9 +1199,18 @@ class VitalsMonitor extends HTMLElement {
                 slider.value = this.value;
                 tempValue = this.value;
             };
+            // the value plus whatever else this modal sets with it; the same for start and queue
+            const valueChanges = () => {
+                const changes = { [stateKey]: Number(tempValue) };
+                if (vitalType === 'etco2') changes.capnoShape = capnoShape.value;
+                if (vitalType === 'hr') changes.rhythm = rhythm.value;
+                if (vitalType === 'ST') changes.tInverted = tInverted.checked;
+                if (vitalType === 'spo2') Object.assign(changes, plethChanges());
+                return changes;
+            };
             // On start, update the vital value
             btn.onclick = () => {
-                conVal.textContent = tempValue;
+                valueRamps.start(valueChanges(), this.trendSettings(conVal.getAttribute('data-label')));
                 modal.style.display = "none";
             };
             //add to action queue BUSTED RN -- less busted
@@ -822,8 +1219,9 @@ class VitalsMonitor extends HTMLElement {
                 // Add to miniModalQueue and render all mini-modals
                 this.miniModalQueue.push({
                     label: conVal.getAttribute('data-label'),
-                    value: tempValue,
-                    conVal: conVal
+                    value: vitalType === 'hr' ? `${tempValue} ${RHYTHMS[rhythm.value].label}` : tempValue,
+                    changes: valueChanges(),
+                    ...this.trendSettings(conVal.getAttribute('data-label'))
                 });
                 this.renderMiniModals();
                 modal.style.display = "none";
@@ -831,6 +1229,11 @@ class VitalsMonitor extends HTMLElement {
             
         }
 
+        // NIBP is just what the cuff read last time, nothing to drift
+        this.shadowRoot.getElementById('trendOptions').style.display = vitalType === 'NIBP' ? 'none' : '';
+        this.modalKey = vitalType === 'art' ? 'sys' : stateKey;
+        this.showTrendProgress();
+
         //appear!
         modal.style.display = "block";
 
@@ -862,6 +1265,7 @@ class VitalsMonitor extends HTMLElement {
                     <span class="close-button" data-idx="${idx}">&times;</span>
                     <span>${item.label}</span><br>
                     <span>${item.value}</span><br>
+                    ${item.duration > 0 ? `<span>over ${item.duration}s ${item.curve}</span><br>` : ''}
                     <button data-idx="${idx}" class="miniStart">start</button>
                 </div>
             `;
@@ -872,7 +1276,7 @@ class VitalsMonitor extends HTMLElement {
             };
             // Start button
             modal.querySelector('.miniStart').onclick = () => {
-                item.conVal.textContent = item.value;
+                valueRamps.start(item.changes, item);
                 this.miniModalQueue.splice(idx, 1);
                 this.renderMiniModals();
             };
@@ -880,6 +1284,59 @@ class VitalsMonitor extends HTMLElement {
         });
     }
 
+    //duration / curve picked in the modal; 0 s means apply straight away
+    trendSettings(label) {
+        return {
+            duration: Number(this.shadowRoot.getElementById('trendDuration').value) || 0,
+            curve: this.shadowRoot.getElementById('trendCurve').value,
+            label
+        };
+    }
+
+    //if the value the modal is open on is already drifting, say where to and allow cancelling
+    showTrendProgress() {
+        const progress = this.shadowRoot.getElementById('trendProgress');
+        const ramp = this.modalKey && valueRamps.find(this.modalKey);
+        if (!progress) return;
+        progress.style.display = ramp ? '' : 'none';
+        if (!ramp) return;
+        const target = Object.keys(ramp.to).map(key => `${key} ${ramp.from[key]} → ${ramp.to[key]}`).join(', ');
+        this.shadowRoot.getElementById('trendText').textContent =
+            `${ramp.label}: ${target} (${Math.round(valueRamps.progress(ramp) * 100)}%)`;
+        this.shadowRoot.getElementById('trendCancel').onclick = () => valueRamps.cancel(ramp.id);
+    }
+
+    //ramps in progress, each with a progress bar and a cancel
+    renderRamps(ramps) {
+        const rampRow = this.shadowRoot.getElementById('rampRow');
+        if (!rampRow) return;
+        // only rebuild when ramps come or go, otherwise just move the bars (keeps the × clickable)
+        const ids = ramps.map(ramp => ramp.id).join(',');
+        if (rampRow.dataset.ids === ids) {
+            ramps.forEach(ramp => {
+                const bar = rampRow.querySelector(`[data-ramp="${ramp.id}"]`);
+                if (bar) bar.style.width = `${Math.round(valueRamps.progress(ramp) * 100)}%`;
+            });
+            return;
+        }
+        rampRow.dataset.ids = ids;
+        rampRow.innerHTML = '';
+        ramps.forEach(ramp => {
+            const item = document.createElement('div');
+            item.className = 'mini-modal ramp';
+            item.innerHTML = `
+                <div class="modal-content mini-con">
+                    <span class="close-button">&times;</span>
+                    <span>${ramp.label}</span><br>
+                    <span>${Object.keys(ramp.to).map(key => `${ramp.from[key]} → ${ramp.to[key]}`).join('<br>')}</span>
+                    <div class="ramp-bar"><div data-ramp="${ramp.id}" style="width:${Math.round(valueRamps.progress(ramp) * 100)}%"></div></div>
+                </div>
+            `;
+            item.querySelector('.close-button').onclick = () => valueRamps.cancel(ramp.id);
+            rampRow.appendChild(item);
+        });
+    }
+
     dragThing(modal) {
         const header = modal.querySelector('.modal-header');
         if (!header) return;
@@ -915,6 +1372,21 @@ class VitalsMonitor extends HTMLElement {
         };
     }
 
+    //last few readings, newest first, with the time they were taken
+    addNIBPReading(state) {
+        // new patient: start the list again
+        if (state.nibpTime === null) {
+            this.NIBPhistory = [];
+            this.showNIBPHistory();
+            return;
+        }
+        const time = new Date(state.nibpTime).toTimeString().slice(0, 5);
+        const reading = state.nibpSys === null ? 'failed' : `${state.nibpSys}/${state.nibpDia} (${state.nibpMap})`;
+        this.NIBPhistory.unshift(`${time} ${reading}`);
+        if (this.NIBPhistory.length > 5) this.NIBPhistory.pop();
+        this.showNIBPHistory();
+    }
+
     showNIBPHistory() {
         const NIBPspot = this.shadowRoot.getElementById('nibpHistory');
         if (!NIBPspot) return;
@@ -923,53 +1395,31 @@ class VitalsMonitor extends HTMLElement {
             .join('');
     }
 
-    statusAlerts(){
-
-        //gather necessary elements and variables to test
-        const statusBar = this.shadowRoot.querySelector('.status-bar');
-        const hrValue = parseInt(this.shadowRoot.getElementById('hr').textContent, 10);
-        const spo2Value = parseInt(this.shadowRoot.getElementById('spo2').textContent, 10);
-        const etCO2Value = parseInt(this.shadowRoot.getElementById('etco2').textContent, 10);
-        const st = parseInt(this.shadowRoot.getElementById('ST').textContent, 10);
-
-        const warnings = [];
-        warnings[0] = "Warning: death might be occuring";
-        //clear any existing warnings
-        statusBar.classList.remove('warning');
-        //test the values and turn status bar yellow with message when values in dangerous range
-        if (hrValue < 60) {
-            warnings.push('(HR < 60)');
-        }if (hrValue > 220){
-            warnings.push('(hr > 220)');
-        }if (spo2Value <= 90){
-            warnings.push('(SpO2 < 90)');
-            statusBar.classList.add('warning');
-        }if (etCO2Value <= 30){
-            warnings.push('(etCO2 < 35)');
-        }if (etCO2Value >= 45){
-            warnings.push('(etCO2 > 45)');
-        } else {
-            statusBar.textContent = 'Status message goes here';
-            statusBar.classList.remove('warning');
-        }
-
-        if(warnings.length > 1){
-            statusBar.textContent = warnings.join(' | ');
-            statusBar.classList.add('warning');
-        }else{
-            statusBar.textContent = 'Status message goes here';
-            statusBar.classList.remove('warning');
-        }
-
+    //beeps and alarm tones for both monitors come from here; the slider is the master volume
+    initVolume(){
+        const slider = this.shadowRoot.getElementById('volume');
+        slider.value = Math.round(monitorAudio.volume * 100);
+        slider.oninput = () => monitorAudio.setVolume(slider.value / 100);
+        monitorAudio.attach();
+    }
 
-        
+    //status bar follows the alarm engine (which runs with the simulation, not every frame)
+    initAlarms(){
+        this.showAlarms = bindAlarmBar(this.shadowRoot, alarms, 'vitals');
+    }
 
+    //trend screen over the monitor, from the shared trend recorder (which both monitors keep going)
+    initTrends(){
+        const trends = new TrendView(this.shadowRoot.getElementById('trendView'), trendRecorder, 'vitals');
+        this.shadowRoot.getElementById('trendButton').onclick = () => trends.toggle();
+        trendRecorder.start();
     }
 
     animate() {
         //understanding of passage of time
         const time = (performance.now() - this.startTime) / 1000;
-        // update waveforms
+        // advance the heartbeat and breathing, then update waveforms
+        tickClocks();
         Object.values(this.vitalCanvas).forEach(canvas => canvas.update(time));
 
         // Update value displays IDK IF I'M KEEPING THESE THEY'RE SENTIMENETAL BAD LINES
@@ -977,9 +1427,6 @@ class VitalsMonitor extends HTMLElement {
         //if (this.spo2Value) this.spo2Value.textContent = Math.round(98 + 0.5 * Math.sin(time * 0.5));
         //if (this.artValue) this.artValue.textContent = `${120 + Math.round(5 * Math.sin(time))}/${80 + Math.round(3 * Math.cos(time))}`;
 
-        //status bar stuff 
-        this.statusAlerts();
-
 
         //recursively calls self to update time and waveforms
         requestAnimationFrame(() => this.animate());
@@ -0,0 +1,102 @@
+// Volatile agent uptake and washout
+// Circle circuit -> lungs (FRC) -> blood -> vessel rich group / muscle / fat, each a
+// well-mixed compartment. Concentrations are % of an atmosphere, volumes L, flows L/min.
+import { cardiacOutput, alveolarVentilation } from './patient-state.js';
+import { mixFreshGas, CIRCUIT_VOLUME, FRC, STEP_MINUTES } from './gas-mixer.js';
+
+const TISSUES = [
+    { name: 'vrg', volume: 6, flowFraction: 0.75 },
+    { name: 'muscle', volume: 33, flowFraction: 0.19 },
+    { name: 'fat', volume: 14.5, flowFraction: 0.06 }
+];
+
+const AGENTS = {
+    sev: {
+        name: 'sevoflurane',
+        mac40: 2.1,
+        bloodGas: 0.65,
+        tissueBlood: { vrg: 1.7, muscle: 3.1, fat: 48 }
+    },
+    n2o: {
+        name: 'nitrous oxide',
+        mac40: 104,
+        bloodGas: 0.47,
+        tissueBlood: { vrg: 1.1, muscle: 1.2, fat: 2.3 }
+    }
+};
+
+//Mapleson's age correction, MAC falls ~6% per decade
+function ageAdjustedMac(mac40, age) {
+    return mac40 * Math.pow(10, -0.00269 * (age - 40));
+}
+
+//one agent's partial pressures through the circuit, lungs and tissues
+class AgentCompartments {
+    constructor(agent) {
+        this.agent = agent;
+        this.reset();
+    }
+
+    reset() {
+        this.circuit = 0;   // inspired
+        this.alveolar = 0;  // ~ end-tidal
+        this.tissues = TISSUES.map(() => 0);
+    }
+
+    //delivered %, fresh gas flow, alveolar ventilation, cardiac output
+    step(minutes, delivered, fgf, va, co) {
+        const { bloodGas, tissueBlood } = this.agent;
+        for (let done = 0; done < minutes; done += STEP_MINUTES) {
+            const dt = Math.min(STEP_MINUTES, minutes - done);
+
+            // mixed venous blood is a flow-weighted blend of what comes back from each tissue
+            const venous = TISSUES.reduce((sum, tissue, i) => sum + tissue.flowFraction * this.tissues[i], 0);
+            const uptake = bloodGas * co * (this.alveolar - venous);
+
+            // fresh gas washes in, exhaled gas comes back round, excess leaves through the APL valve
+            const dCircuit = (fgf * (delivered - this.circuit) + va * (this.alveolar - this.circuit)) / CIRCUIT_VOLUME;
+            const dAlveolar = (va * (this.circuit - this.alveolar) - uptake) / FRC;
+
+            TISSUES.forEach((tissue, i) => {
+                const capacity = tissue.volume * tissueBlood[tissue.name];
+                this.tissues[i] += dt * tissue.flowFraction * co * (this.alveolar - this.tissues[i]) / capacity;
+            });
+            this.circuit += dt * dCircuit;
+            this.alveolar += dt * dAlveolar;
+        }
+    }
+}
+
+class AgentUptake {
+    constructor() {
+        this.name = 'agent-uptake';
+        this.sev = new AgentCompartments(AGENTS.sev);
+        this.n2o = new AgentCompartments(AGENTS.n2o);
+    }
+
+    reset() {
+        this.sev.reset();
+        this.n2o.reset();
+    }
+
+    step(dt, state) {
+        const co = cardiacOutput(state);
+        const va = alveolarVentilation(state);
+        const fresh = mixFreshGas(state);
+        this.sev.step(dt / 60, fresh.sev, state.fgf, va, co);
+        this.n2o.step(dt / 60, fresh.n2o, state.fgf, va, co);
+
+        // MACs add, so 0.5 MAC of sevo plus 0.5 MAC of N2O is 1 MAC
+        const sevMac = this.sev.alveolar / ageAdjustedMac(AGENTS.sev.mac40, state.age);
+        const n2oMac = this.n2o.alveolar / ageAdjustedMac(AGENTS.n2o.mac40, state.age);
+        return {
+            sevInsp: Math.round(this.sev.circuit * 10) / 10,
+            sevExp: Math.round(this.sev.alveolar * 10) / 10,
+            n2oInsp: Math.round(this.n2o.circuit),
+            n2oExp: Math.round(this.n2o.alveolar),
+            mac: Math.round((sevMac + n2oMac) * 10) / 10
+        };
+    }
+}
+
+export { AgentUptake, AgentCompartments, AGENTS, ageAdjustedMac };
@@ -0,0 +1,221 @@
+// Alarm display shared by both monitors: the status bar showing what's alarming (click an alarm
+// to acknowledge it, plus silence and alarms-off buttons), and the table for editing limits
+// (on/off, low, high, priority, delay and latching per alarm).
+import { ALARMS, PRIORITIES } from './alarms.js';
+
+// status bar colours by priority, plus the limits popup; goes inside each monitor's <style>
+const ALARM_BAR_STYLE = `
+    .status-bar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        position: relative;
+    }
+    .status-bar .status-text {
+        flex: 1;
+        cursor: default;
+    }
+    .status-bar.alarm-advisory {
+        background: #02bdfc;
+        color: black;
+    }
+    .status-bar.alarm-caution {
+        background: yellow;
+        color: black;
+    }
+    .status-bar.alarm-warning {
+        background: #c40000;
+        color: white;
+    }
+    /* nobody has responded to a warning yet */
+    .status-bar.alarm-warning.alarm-unacknowledged {
+        animation: alarm-flash 1s steps(2, start) infinite;
+    }
+    @keyframes alarm-flash {
+        to { background: #600000; }
+    }
+    .status-bar.alarms-off {
+        background: #444;
+        color: #fafd24;
+    }
+    .status-text [data-alarm] {
+        cursor: pointer;
+    }
+    .status-text .acknowledged {
+        opacity: 0.6;
+    }
+    .silence-button.active, .off-button.active {
+        background: #fafd24;
+        color: black;
+    }
+    .volume-control {
+        font-size: 0.8em;
+    }
+    .volume-control input {
+        width: 70px;
+        vertical-align: middle;
+    }
+    .limits-popup {
+        position: absolute;
+        top: 100%;
+        right: 0;
+        z-index: 300;
+        background: #222;
+        border: 1px solid #666;
+        padding: 8px;
+        color: #fff;
+    }
+    :host([display-only]) .limits-button {
+        display: none;
+    }
+`;
+
+//m:ss for the silence countdown
+function formatCountdown(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+//show a monitor's alarms in its status bar, coloured by the most urgent one
+function renderAlarmBar(statusBar, alarms, idleText = 'Status message goes here', { silenced = 0, off = false } = {}) {
+    const text = statusBar.querySelector('.status-text');
+    PRIORITIES.forEach(priority => statusBar.classList.remove(`alarm-${priority}`));
+    statusBar.classList.toggle('alarms-off', off);
+    statusBar.classList.toggle('alarm-unacknowledged', alarms.some(alarm => alarm.active && !alarm.acknowledged));
+
+    const silence = statusBar.querySelector('.silence-button');
+    if (silence) {
+        silence.classList.toggle('active', silenced > 0);
+        silence.textContent = silenced > 0 ? `SILENCED ${formatCountdown(silenced)}` : 'SILENCE';
+    }
+    const offButton = statusBar.querySelector('.off-button');
+    if (offButton) {
+        offButton.classList.toggle('active', off);
+        offButton.textContent = off ? 'ALARMS ON' : 'ALARMS OFF';
+    }
+
+    if (off) {
+        text.textContent = 'ALARMS OFF';
+        text.title = '';
+        return;
+    }
+    if (alarms.length === 0) {
+        text.textContent = idleText;
+        text.title = '';
+        return;
+    }
+    statusBar.classList.add(`alarm-${alarms[0].priority}`);
+    text.innerHTML = alarms.map(alarm => `<span data-alarm="${alarm.id}" class="${alarm.acknowledged ? 'acknowledged' : ''}">${alarm.latched ? `(${alarm.message})` : alarm.message}</span>`).join(' | ');
+    text.title = 'Click an alarm to acknowledge it';
+}
+
+//wire a monitor's status bar to the engine; returns the redraw (for putting it back after a message)
+function bindAlarmBar(root, engine, monitor) {
+    const statusBar = root.querySelector('.status-bar');
+    const popup = root.getElementById('limitsPopup');
+    const show = () => renderAlarmBar(statusBar, engine.list(monitor), undefined, engine.status());
+    show();
+    engine.onChange(show);
+
+    statusBar.querySelector('.status-text').onclick = (e) => {
+        const spot = e.target.closest('[data-alarm]');
+        if (spot) engine.acknowledge(spot.dataset.alarm);
+    };
+    root.getElementById('silenceButton').onclick = () => {
+        if (engine.silenceRemaining() > 0) engine.unsilence();
+        else engine.silence();
+    };
+    root.getElementById('alarmsOffButton').onclick = () => engine.setOff(!engine.off);
+    root.getElementById('limitsButton').onclick = () => {
+        const opening = popup.style.display === 'none';
+        if (opening) new AlarmLimitsPanel(popup, engine, monitor);
+        popup.style.display = opening ? '' : 'none';
+    };
+    return show;
+}
+
+//a message in the status bar for a few seconds, then back to the alarms; `show` is what bindAlarmBar returned
+function flashStatus(root, show, message, color) {
+    const statusBar = root.querySelector('.status-bar');
+    statusBar.querySelector('.status-text').textContent = message;
+    statusBar.style.background = color;
+    setTimeout(() => {
+        statusBar.style.background = '';
+        show();
+    }, 3000);
+}
+
+const PANEL_STYLE = `
+    .limits-panel table {
+        border-collapse: collapse;
+        font-size: 0.85em;
+    }
+    .limits-panel th, .limits-panel td {
+        padding: 2px 6px;
+        text-align: left;
+    }
+    .limits-panel input[type="number"] {
+        width: 55px;
+    }
+`;
+
+class AlarmLimitsPanel {
+    //monitor: 'vitals' / 'anaesthesia' for just that screen's alarms, nothing for all of them
+    constructor(container, engine, monitor) {
+        this.container = container;
+        this.engine = engine;
+        this.monitor = monitor;
+        this.render();
+    }
+
+    render() {
+        const ids = Object.keys(ALARMS).filter(id => !this.monitor || ALARMS[id].monitor === this.monitor);
+        const number = (id, field) => ALARMS[id].test
+            ? ''
+            : `<input type="number" data-id="${id}" data-field="${field}" value="${this.engine.settings[id][field] ?? ''}" placeholder="off">`;
+
+        this.container.innerHTML = `
+            <style>${PANEL_STYLE}</style>
+            <div class="limits-panel">
+                <table>
+                    <tr><th>Alarm</th><th>On</th><th>Low</th><th>High</th><th>Priority</th><th>Delay s</th><th>Latch</th></tr>
+                    ${ids.map(id => {
+                        const settings = this.engine.settings[id];
+                        return `
+                            <tr>
+                                <td>${ALARMS[id].label}</td>
+                                <td><input type="checkbox" data-id="${id}" data-field="enabled" ${settings.enabled ? 'checked' : ''}></td>
+                                <td>${number(id, 'low')}</td>
+                                <td>${number(id, 'high')}</td>
+                                <td><select data-id="${id}" data-field="priority">
+                                    ${PRIORITIES.map(p => `<option value="${p}" ${p === settings.priority ? 'selected' : ''}>${p}</option>`).join('')}
+                                </select></td>
+                                <td><input type="number" min="0" data-id="${id}" data-field="delay" value="${settings.delay}"></td>
+                                <td><input type="checkbox" data-id="${id}" data-field="latching" ${settings.latching ? 'checked' : ''}></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </table>
+                <button class="reset-limits">defaults</button>
+            </div>
+        `;
+
+        this.container.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                let value;
+                if (input.type === 'checkbox') value = input.checked;
+                else if (input.type === 'number') value = input.value === '' ? null : Number(input.value);
+                else value = input.value;
+                // a blank delay means no delay, not no alarm
+                if (field === 'delay' && value === null) value = 0;
+                this.engine.setLimit(input.dataset.id, { [field]: value });
+            });
+        });
+        this.container.querySelector('.reset-limits').onclick = () => {
+            this.engine.resetLimits();
+            this.render();
+        };
+    }
+}
+
+export { AlarmLimitsPanel, renderAlarmBar, bindAlarmBar, flashStatus, ALARM_BAR_STYLE };
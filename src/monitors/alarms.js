@@ -0,0 +1,304 @@
+// Alarm engine: high/low limits per parameter plus a few conditions a limit can't express
+// (apnoea, arrest rhythms). Each alarm has a priority, a delay it has to hold for before it
+// sounds, and optional latching (stays up after the cause clears until someone resets it).
+// Stepped by the simulation, so it runs at the same rate whatever the frame rate.
+//
+// Responding: silence pauses the sound for 2 minutes, acknowledging an alarm stops its sound
+// (and clears it if it was only latched), alarms off stops alarms altogether. Every response is
+// logged with how long the alarm had been going, for the debrief.
+import { ARREST_RHYTHMS } from './patient-state.js';
+import simulation from './simulation.js';
+import eventLog from './event-log.js';
+import { spo2Reading } from './pleth.js';
+
+const PRIORITIES = ['advisory', 'caution', 'warning']; // lowest first
+
+const STORAGE_KEY = 'alarmLimits';
+const SILENCE_SECONDS = 120;
+
+// what can be changed from the limits panel
+const EDITABLE = ['enabled', 'low', 'high', 'priority', 'delay', 'latching'];
+
+// monitor: which screen shows it; low/high null means no limit on that side
+// reading: what the monitor actually measures, when that isn't just the patient value (null = none)
+const ALARMS = {
+    hr: { label: 'HR', monitor: 'vitals', key: 'hr', low: 50, high: 120, priority: 'warning', delay: 5 },
+    spo2: { label: 'SpO2', monitor: 'vitals', key: 'spo2', reading: spo2Reading, low: 90, high: null, priority: 'warning', delay: 10 },
+    sys: { label: 'ART SYS', monitor: 'vitals', key: 'sys', low: 90, high: 160, priority: 'caution', delay: 5 },
+    map: { label: 'MAP', monitor: 'vitals', key: 'map', low: 60, high: 110, priority: 'warning', delay: 5 },
+    etco2: { label: 'etCO2', monitor: 'vitals', key: 'etco2', low: 30, high: 45, priority: 'caution', delay: 10 },
+    arrest: {
+        label: 'ARREST', monitor: 'vitals', priority: 'warning', delay: 0,
+        test: state => ARREST_RHYTHMS.includes(state.rhythm),
+        message: state => state.rhythm.toUpperCase()
+    },
+    spo2Probe: {
+        label: 'SpO2 PROBE', monitor: 'vitals', priority: 'caution', delay: 5,
+        test: state => state.spo2Signal === 'probe-off' || state.spo2Signal === 'poor-contact',
+        message: state => (state.spo2Signal === 'probe-off' ? 'SpO2 PROBE OFF' : 'SpO2 POOR SIGNAL')
+    },
+    ppeak: { label: 'Paw', monitor: 'anaesthesia', key: 'ppeak', low: null, high: 40, priority: 'warning', delay: 0 },
+    vte: { label: 'VT', monitor: 'anaesthesia', key: 'vte', low: 250, high: 1000, priority: 'caution', delay: 10 },
+    mv: { label: 'MV', monitor: 'anaesthesia', key: 'mv', low: 3, high: 15, priority: 'advisory', delay: 15 },
+    fio2: { label: 'FiO2', monitor: 'anaesthesia', key: 'fio2', low: 21, high: null, priority: 'warning', delay: 0 },
+    sevExp: { label: 'SEV exp', monitor: 'anaesthesia', key: 'sevExp', low: null, high: 4, priority: 'advisory', delay: 10 },
+    apnoea: {
+        label: 'APNOEA', monitor: 'anaesthesia', priority: 'warning', delay: 20,
+        test: state => state.rr === 0 || state.vte === 0
+    }
+};
+
+function defaultSettings() {
+    const settings = {};
+    Object.entries(ALARMS).forEach(([id, alarm]) => {
+        settings[id] = {
+            enabled: true,
+            latching: false,
+            low: alarm.low === undefined ? null : alarm.low,
+            high: alarm.high === undefined ? null : alarm.high,
+            priority: alarm.priority,
+            delay: alarm.delay
+        };
+    });
+    return settings;
+}
+
+class AlarmEngine {
+    constructor(storage = window.localStorage) {
+        this.name = 'alarms';
+        this.storage = storage;
+        this.settings = this.loadSettings();
+        this.timers = {};   // how long each alarm's condition has held, s
+        this.alarms = {};   // id -> { id, label, monitor, priority, message, since, active, latched, acknowledged }
+        this.silencedUntil = 0;
+        this.off = false;
+        this.forward = null; // set on learner monitors: responses go to the instructor console's engine
+        this.listeners = [];
+    }
+
+    //defaults, with whatever was saved last time on top
+    loadSettings() {
+        const settings = defaultSettings();
+        try {
+            const saved = this.storage && JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (saved) {
+                Object.keys(settings).forEach(id => Object.assign(settings[id], saved[id]));
+            }
+        } catch (error) {
+            console.error('Error loading alarm limits:', error);
+        }
+        return settings;
+    }
+
+    saveSettings() {
+        if (this.storage) this.storage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    setLimit(id, changes) {
+        const settings = this.settings[id];
+        if (!settings) throw new Error(`Unknown alarm "${id}"`);
+        Object.entries(changes).forEach(([field, value]) => {
+            if (!EDITABLE.includes(field)) return;
+            if (field === 'priority' && !PRIORITIES.includes(value)) return;
+            settings[field] = value;
+        });
+        this.saveSettings();
+        // a limit that no longer applies shouldn't leave its alarm hanging
+        if (!settings.enabled && this.alarms[id]) {
+            delete this.alarms[id];
+            this.notify();
+        }
+    }
+
+    resetLimits() {
+        this.settings = defaultSettings();
+        this.saveSettings();
+        // same as setLimit: alarms switched off by the defaults go, and everyone hears about it
+        Object.keys(this.alarms).forEach(id => {
+            if (!this.settings[id].enabled) delete this.alarms[id];
+        });
+        this.notify();
+    }
+
+    //message if the alarm's condition holds right now, otherwise null
+    check(id, state) {
+        const alarm = ALARMS[id];
+        const { enabled, low, high } = this.settings[id];
+        if (!enabled) return null;
+        if (alarm.test) {
+            if (!alarm.test(state)) return null;
+            return alarm.message ? alarm.message(state) : alarm.label;
+        }
+        const value = alarm.reading ? alarm.reading(state) : state[alarm.key];
+        if (value === null) return null;
+        if (low !== null && value < low) return `${alarm.label} LOW`;
+        if (high !== null && value > high) return `${alarm.label} HIGH`;
+        return null;
+    }
+
+    step(dt, state) {
+        let changed = false;
+        // tick the silence countdown along (and let the sound back in when it runs out)
+        const remaining = this.silenceRemaining();
+        if (remaining !== this.lastRemaining) {
+            this.lastRemaining = remaining;
+            changed = true;
+        }
+        if (this.off) {
+            if (changed) this.notify();
+            return;
+        }
+
+        Object.keys(ALARMS).forEach(id => {
+            const message = this.check(id, state);
+            const alarm = this.alarms[id];
+            if (message) {
+                this.timers[id] = (this.timers[id] || 0) + dt;
+                if (this.timers[id] < this.settings[id].delay) return;
+                if (!alarm || !alarm.active || alarm.message !== message) {
+                    this.raise(id, message);
+                    changed = true;
+                }
+            } else {
+                this.timers[id] = 0;
+                if (alarm && alarm.active) {
+                    eventLog.log({ type: 'alarm', key: id, message: `${alarm.message} cleared` });
+                    if (this.settings[id].latching) {
+                        alarm.active = false;
+                        alarm.latched = true;
+                    } else {
+                        delete this.alarms[id];
+                    }
+                    changed = true;
+                }
+            }
+        });
+        if (changed) this.notify();
+    }
+
+    raise(id, message) {
+        const previous = this.alarms[id];
+        this.alarms[id] = {
+            id,
+            label: ALARMS[id].label,
+            monitor: ALARMS[id].monitor,
+            priority: this.settings[id].priority,
+            message,
+            since: previous && previous.active ? previous.since : Date.now(),
+            active: true,
+            latched: false,
+            acknowledged: false
+        };
+        eventLog.log({ type: 'alarm', key: id, priority: this.settings[id].priority, message });
+    }
+
+    silenceRemaining() {
+        return Math.max(Math.ceil((this.silencedUntil - Date.now()) / 1000), 0);
+    }
+
+    //seconds since the oldest alarm nobody has responded to yet started
+    responseTime(alarms) {
+        const waiting = alarms.filter(alarm => alarm.active && !alarm.acknowledged);
+        if (waiting.length === 0) return undefined;
+        return Math.round((Date.now() - Math.min(...waiting.map(alarm => alarm.since))) / 100) / 10;
+    }
+
+    //pause the sound; everything still shows
+    silence(seconds = SILENCE_SECONDS) {
+        if (this.forward) return this.forward({ action: 'silence' });
+        eventLog.log({ type: 'silence', message: `silenced for ${seconds}s`, responseTime: this.responseTime(this.list()) });
+        this.silencedUntil = Date.now() + seconds * 1000;
+        this.lastRemaining = seconds;
+        this.notify();
+    }
+
+    unsilence() {
+        if (this.forward) return this.forward({ action: 'unsilence' });
+        this.silencedUntil = 0;
+        this.notify();
+    }
+
+    //someone has seen this one: stop its sound, or clear it if it was only latched
+    acknowledge(id) {
+        if (this.forward) return this.forward({ action: 'acknowledge', id });
+        const alarm = this.alarms[id];
+        if (!alarm || (alarm.active && alarm.acknowledged)) return;
+        eventLog.log({
+            type: 'acknowledge', key: id, priority: alarm.priority, message: alarm.message,
+            responseTime: this.responseTime([alarm])
+        });
+        if (alarm.active) alarm.acknowledged = true;
+        else delete this.alarms[id];
+        this.notify();
+    }
+
+    setOff(off) {
+        if (this.forward) return this.forward({ action: 'off', off });
+        eventLog.log({ type: 'alarms-off', message: off ? 'alarms off' : 'alarms on', responseTime: off ? this.responseTime(this.list()) : undefined });
+        this.off = off;
+        if (off) {
+            this.alarms = {};
+            this.timers = {};
+        }
+        this.notify();
+    }
+
+    //a response pressed on a learner monitor, passed along by the remote link
+    perform({ action, id, off }) {
+        if (action === 'silence') this.silence();
+        else if (action === 'unsilence') this.unsilence();
+        else if (action === 'acknowledge') this.acknowledge(id);
+        else if (action === 'off') this.setOff(off);
+    }
+
+    //latched alarms whose cause has gone; drops them all, or just one
+    clearLatched(id) {
+        Object.values(this.alarms).forEach(alarm => {
+            if (!alarm.active && (id === undefined || alarm.id === id)) delete this.alarms[alarm.id];
+        });
+        this.notify();
+    }
+
+    //alarms for one monitor (or all), most urgent first
+    list(monitor) {
+        return Object.values(this.alarms)
+            .filter(alarm => !monitor || alarm.monitor === monitor)
+            .sort((a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority) || a.since - b.since);
+    }
+
+    //silence / off, in a form that can be sent to another machine (no clock to agree on)
+    status() {
+        return { silenced: this.silenceRemaining(), off: this.off };
+    }
+
+    //learner monitors don't run the engine, they show what the instructor console's engine says
+    mirror(alarms, { silenced = 0, off = false } = {}) {
+        this.alarms = {};
+        alarms.forEach(alarm => { this.alarms[alarm.id] = alarm; });
+        this.silencedUntil = Date.now() + silenced * 1000;
+        this.off = off;
+        this.notify();
+    }
+
+    reset() {
+        this.timers = {};
+        this.alarms = {};
+        this.silencedUntil = 0;
+        this.notify();
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        const alarms = this.list();
+        this.listeners.forEach(fn => fn(alarms));
+    }
+}
+
+// Singleton pattern, stepped along with the physiology models
+window.alarms = window.alarms || simulation.register(new AlarmEngine());
+
+export { AlarmEngine, ALARMS, PRIORITIES };
+export default window.alarms;
@@ -0,0 +1,57 @@
+// Arterial line waveform: pressure (mmHg) through one beat, from the systolic/diastolic values.
+// Fast upstroke, systolic peak, fall to the dicrotic notch as the aortic valve shuts, then
+// diastolic runoff back down to the diastolic pressure just in time for the next beat.
+// Ejection takes a smaller share of the beat at slow rates, so the runoff gets longer.
+//
+// Damping is the transducer set-up: 'under' overshoots and rings (reads a high systolic),
+// 'over' slurs the upstroke and loses the notch (squashes the pulse towards the mean).
+// ppv (%) is the pulse pressure variation with ventilation: bigger pulses on inspiration.
+
+const DAMPING_STATES = ['optimal', 'over', 'under'];
+
+const NOTCH_LEVEL = 0.6;    // share of the pulse pressure still there at the notch
+const RUNOFF = 0.5;         // s, diastolic decay time constant
+const RISE = { optimal: 0.1, over: 0.18, under: 0.06 };
+
+//0 -> 1 through one pulse; t seconds after the upstroke starts, period seconds per beat
+function pulseShape(t, period, damping = 'optimal') {
+    const rise = RISE[damping] || RISE.optimal;
+    const ejection = Math.max(Math.min(0.3 * Math.sqrt(period), period * 0.45), rise + 0.02);
+    const notch = damping === 'over' ? 0 : 0.08;
+
+    let value;
+    if (t < rise) {
+        value = 0.5 - 0.5 * Math.cos(Math.PI * t / rise);
+    } else if (t < ejection) {
+        value = 1 - (1 - NOTCH_LEVEL) * Math.pow((t - rise) / (ejection - rise), 1.3);
+    } else {
+        // runoff reaches 0 right at the end of the beat
+        const left = Math.max(period - ejection, 0.01);
+        const end = Math.exp(-left / RUNOFF);
+        value = NOTCH_LEVEL * (Math.exp(-(t - ejection) / RUNOFF) - end) / (1 - end);
+    }
+
+    // notch and the dicrotic wave just after it
+    value -= notch * Math.exp(-Math.pow((t - ejection) / 0.015, 2));
+    value += notch * 0.8 * Math.exp(-Math.pow((t - ejection - 0.05) / 0.03, 2));
+
+    // under-damped: the catheter rings after the upstroke
+    if (damping === 'under' && t > rise) {
+        value += 0.3 * Math.exp(-(t - rise) / 0.05) * Math.sin(2 * Math.PI * 12 * (t - rise));
+    }
+    return value;
+}
+
+//arterial pressure t seconds into a beat; breathPhase (0 -> 1, inspiration first) for the ppv swing
+function arterialPressure(t, period, { sys, dia, damping = 'optimal', ppv = 0, breathPhase = 0 }) {
+    if (!isFinite(period) || sys <= 0) return 0;
+    const swing = 1 + (ppv / 200) * Math.sin(2 * Math.PI * breathPhase);
+    const pulse = (sys - dia) * swing;
+    const pressure = dia + pulse * pulseShape(t, period, damping);
+    if (damping !== 'over') return pressure;
+    // over-damped: pulse squashed towards the mean
+    const mean = dia + pulse / 3;
+    return mean + (pressure - mean) * 0.65;
+}
+
+export { arterialPressure, pulseShape, DAMPING_STATES };
@@ -0,0 +1,95 @@
+// Sound generation for the monitors, kept apart from everything else so it only needs an
+// audio context: pass it an AudioContext to play, or an OfflineAudioContext to render and
+// check the samples. Times are in the context's seconds, frequencies Hz, gains 0-1.
+//
+// Alarm melodies follow the shape of IEC 60601-1-8: pulses with a fundamental plus harmonics,
+// a quick rise and fall, and the number of pulses / how often they repeat set by priority.
+
+// pulse start times (s, from the start of the burst), pulse length, pitch and repeat interval
+const MELODIES = {
+    // high priority: 10 pulses, 3 + 2, pause, 3 + 2
+    warning: {
+        pulses: [0, 0.25, 0.5, 1.0, 1.25, 2.25, 2.5, 2.75, 3.25, 3.5],
+        pulseLength: 0.15,
+        frequency: 523,
+        repeat: 8
+    },
+    // medium priority: 3 pulses
+    caution: {
+        pulses: [0, 0.35, 0.7],
+        pulseLength: 0.2,
+        frequency: 440,
+        repeat: 15
+    },
+    // low priority: 2 pulses, repeated rarely
+    advisory: {
+        pulses: [0, 0.35],
+        pulseLength: 0.2,
+        frequency: 330,
+        repeat: 30
+    }
+};
+
+// relative strength of the fundamental and the next harmonics (the standard asks for at least 4)
+const HARMONICS = [1, 0.6, 0.4, 0.3, 0.2];
+
+const BEEP_LENGTH = 0.06;
+const BEEP_TOP = 880;      // pitch at 100% saturation
+const BEEP_FLOOR = 70;     // below this the pitch stops falling (still audible on small speakers)
+
+//pulse-ox beep pitch: down a semitone for every 1% of saturation lost
+function spo2Frequency(spo2) {
+    const clamped = Math.min(Math.max(spo2, BEEP_FLOOR), 100);
+    return BEEP_TOP * Math.pow(2, (clamped - 100) / 12);
+}
+
+//one pulse with a trapezoid envelope; rise and fall take 15% of the pulse each
+function schedulePulse(ctx, destination, time, { frequency, duration, gain = 1, harmonics = HARMONICS }) {
+    const osc = ctx.createOscillator();
+    const envelope = ctx.createGain();
+
+    const real = new Float32Array(harmonics.length + 1);
+    const imag = new Float32Array(harmonics.length + 1);
+    harmonics.forEach((amplitude, i) => { imag[i + 1] = amplitude; });
+    osc.setPeriodicWave(ctx.createPeriodicWave(real, imag));
+    osc.frequency.setValueAtTime(frequency, time);
+
+    const edge = duration * 0.15;
+    envelope.gain.setValueAtTime(0, time);
+    envelope.gain.linearRampToValueAtTime(gain, time + edge);
+    envelope.gain.setValueAtTime(gain, time + duration - edge);
+    envelope.gain.linearRampToValueAtTime(0, time + duration);
+
+    osc.connect(envelope);
+    envelope.connect(destination);
+    osc.start(time);
+    osc.stop(time + duration);
+    return time + duration;
+}
+
+//one burst of an alarm melody; returns when the last pulse ends
+function scheduleMelody(ctx, destination, time, priority, gain = 1) {
+    const melody = MELODIES[priority];
+    if (!melody) throw new Error(`No alarm melody for priority "${priority}"`);
+    let end = time;
+    melody.pulses.forEach(offset => {
+        end = schedulePulse(ctx, destination, time + offset, {
+            frequency: melody.frequency,
+            duration: melody.pulseLength,
+            gain
+        });
+    });
+    return end;
+}
+
+//the short beep each heartbeat, pitched by saturation (a plain tone, no harmonics)
+function scheduleBeep(ctx, destination, time, spo2, gain = 1) {
+    return schedulePulse(ctx, destination, time, {
+        frequency: spo2Frequency(spo2),
+        duration: BEEP_LENGTH,
+        gain,
+        harmonics: [1]
+    });
+}
+
+export { MELODIES, HARMONICS, spo2Frequency, schedulePulse, scheduleMelody, scheduleBeep };
@@ -0,0 +1,94 @@
+// Checks the tone maths and what gets scheduled, against a context that only writes down what it's
+// asked to play. Run with: node --test src/monitors/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MELODIES, HARMONICS, spo2Frequency, schedulePulse, scheduleMelody, scheduleBeep } from './audio-tones.js';
+
+const CLOSE = 1e-9;
+
+//an audio context that keeps every oscillator it plays: { frequencyCalls, imag, from, to }
+function stubContext() {
+    const oscillators = [];
+    const param = (calls) => ({
+        setValueAtTime: (value, time) => calls.push({ value, time }),
+        linearRampToValueAtTime: (value, time) => calls.push({ value, time, ramp: true })
+    });
+    return {
+        oscillators,
+        createOscillator() {
+            const osc = { frequencyCalls: [], connect() {} };
+            osc.frequency = param(osc.frequencyCalls);
+            osc.setPeriodicWave = (wave) => { osc.imag = wave.imag; };
+            osc.start = (time) => { osc.from = time; };
+            osc.stop = (time) => { osc.to = time; oscillators.push(osc); };
+            return osc;
+        },
+        createGain() {
+            const envelope = { calls: [], connect: (destination) => { envelope.destination = destination; } };
+            envelope.gain = param(envelope.calls);
+            this.lastGain = envelope;
+            return envelope;
+        },
+        createPeriodicWave: (real, imag) => ({ real, imag })
+    };
+}
+
+test('the SpO2 beep drops a semitone for every 1% of saturation', () => {
+    assert.equal(spo2Frequency(100), 880);
+    for (let spo2 = 99; spo2 >= 70; spo2--) {
+        assert.ok(Math.abs(spo2Frequency(spo2 + 1) / spo2Frequency(spo2) - Math.pow(2, 1 / 12)) < CLOSE, `at ${spo2}%`);
+    }
+    assert.ok(Math.abs(spo2Frequency(88) - 440) < CLOSE, 'an octave down at 88%');
+});
+
+test('the SpO2 beep stops falling at 70% and never goes above 100%', () => {
+    assert.equal(spo2Frequency(50), spo2Frequency(70));
+    assert.equal(spo2Frequency(0), spo2Frequency(70));
+    assert.equal(spo2Frequency(104), 880);
+});
+
+test('each melody plays its pulses and ends when the last one does', () => {
+    Object.entries(MELODIES).forEach(([priority, melody]) => {
+        const ctx = stubContext();
+        const end = scheduleMelody(ctx, 'out', 2, priority);
+        assert.equal(ctx.oscillators.length, melody.pulses.length, `${priority} pulse count`);
+        ctx.oscillators.forEach((osc, i) => {
+            assert.equal(osc.from, 2 + melody.pulses[i]);
+            assert.ok(Math.abs(osc.to - osc.from - melody.pulseLength) < CLOSE);
+            assert.equal(osc.frequencyCalls[0].value, melody.frequency);
+        });
+        const lastPulse = melody.pulses[melody.pulses.length - 1];
+        assert.ok(Math.abs(end - (2 + lastPulse + melody.pulseLength)) < CLOSE, `${priority} end`);
+    });
+});
+
+test('high priority has 10 pulses, medium 3 and low 2', () => {
+    assert.equal(MELODIES.warning.pulses.length, 10);
+    assert.equal(MELODIES.caution.pulses.length, 3);
+    assert.equal(MELODIES.advisory.pulses.length, 2);
+});
+
+test('an unknown priority has no melody', () => {
+    assert.throws(() => scheduleMelody(stubContext(), 'out', 0, 'loud'), /No alarm melody for priority "loud"/);
+});
+
+test('alarm pulses carry the harmonics, the beep is a plain tone', () => {
+    const ctx = stubContext();
+    scheduleMelody(ctx, 'out', 0, 'advisory');
+    assert.deepEqual(Array.from(ctx.oscillators[0].imag), [0, ...HARMONICS.map(amplitude => Math.fround(amplitude))]);
+
+    const beep = stubContext();
+    const end = scheduleBeep(beep, 'out', 1, 88);
+    assert.deepEqual(Array.from(beep.oscillators[0].imag), [0, 1]);
+    assert.ok(Math.abs(beep.oscillators[0].frequencyCalls[0].value - 440) < CLOSE);
+    assert.ok(Math.abs(end - 1.06) < CLOSE);
+});
+
+test('a pulse rises to its gain and falls back to silence, 15% of its length each way', () => {
+    const ctx = stubContext();
+    schedulePulse(ctx, 'out', 1, { frequency: 440, duration: 0.2, gain: 0.5 });
+    const envelope = ctx.lastGain;
+    assert.equal(envelope.destination, 'out');
+    const points = envelope.calls.map(({ value, time }) => [value, Math.round(time * 1000) / 1000]);
+    assert.deepEqual(points, [[0, 1], [0.5, 1.03], [0.5, 1.17], [0, 1.2]]);
+});
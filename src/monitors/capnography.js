@@ -0,0 +1,94 @@
+// Capnography: arterial CO2 from production vs alveolar ventilation, end-tidal from that
+// and lung perfusion, plus the shape of the capnogram through one breath.
+// Units: mmHg, VCO2 mL/min, ventilation L/min, cardiac output L/min
+import { cardiacOutput, alveolarVentilation } from './patient-state.js';
+
+const CO2_STORE = 30;       // mL of CO2 per mmHg change in PaCO2 (how quickly PaCO2 moves)
+const NORMAL_GRADIENT = 5;  // a-ET gradient with healthy lungs and normal perfusion
+const NORMAL_CO = 4;        // below this, falling lung perfusion starts widening the gradient
+const REBREATHING_FICO2 = 8;
+const ETCO2_LAG = 10;       // s, end-tidal follows changes over a few breaths rather than instantly
+
+// the classic shapes instructors can pick from
+const CAPNO_SHAPES = ['normal', 'bronchospasm', 'rebreathing', 'curare', 'oesophageal'];
+
+class Capnography {
+    constructor() {
+        this.name = 'capnography';
+        this.reset();
+    }
+
+    reset() {
+        this.paco2 = 40;
+        this.etco2 = null;
+        this.lastEtco2 = null;
+    }
+
+    //end-tidal we'd see for a given PaCO2 with the current perfusion and breathing
+    endTidal(paco2, state) {
+        if (state.capnoShape === 'oesophageal' || state.rr === 0 || state.vte === 0) return 0;
+        const perfusion = Math.min(cardiacOutput(state) / NORMAL_CO, 1);
+        const etco2 = Math.max(paco2 - NORMAL_GRADIENT, 0) * Math.sqrt(perfusion);
+        return state.capnoShape === 'rebreathing' ? etco2 + REBREATHING_FICO2 / 2 : etco2;
+    }
+
+    //someone typed in an etCO2: make that the steady state for the current ventilation
+    calibrate(state) {
+        const perfusion = Math.min(cardiacOutput(state) / NORMAL_CO, 1);
+        this.paco2 = perfusion > 0 ? state.etco2 / Math.sqrt(perfusion) + NORMAL_GRADIENT : state.paco2;
+        const va = alveolarVentilation(state);
+        return va > 0 ? Math.round(this.paco2 * va / 0.863) : state.vco2;
+    }
+
+    step(dt, state) {
+        const changes = {};
+        if (this.lastEtco2 !== null && state.etco2 !== this.lastEtco2) {
+            changes.vco2 = this.calibrate(state);
+            this.etco2 = state.etco2;
+            state = { ...state, ...changes };
+        }
+
+        // CO2 made by the tissues minus what ventilation carries off (0.863 converts STPD/BTPS)
+        const cleared = alveolarVentilation(state) * this.paco2 / 0.863;
+        this.paco2 += (dt / 60) * (state.vco2 - cleared) / CO2_STORE;
+
+        const target = this.endTidal(this.paco2, state);
+        this.etco2 = this.etco2 === null ? target : this.etco2 + (target - this.etco2) * (1 - Math.exp(-dt / ETCO2_LAG));
+        this.lastEtco2 = Math.round(this.etco2);
+        return {
+            ...changes,
+            paco2: Math.round(this.paco2),
+            etco2: this.lastEtco2,
+            fico2: state.capnoShape === 'rebreathing' ? REBREATHING_FICO2 : 0
+        };
+    }
+}
+
+//capnogram height (mmHg) at a phase through the breath; inspiration takes the first tiFraction
+function capnogram(phase, tiFraction, etco2, fico2 = 0, shape = 'normal') {
+    if (etco2 <= 0 || shape === 'oesophageal') return fico2;
+
+    // phase 0: quick drop back to baseline as inspiration starts
+    if (phase < tiFraction) {
+        return phase < 0.03 ? etco2 + (fico2 - etco2) * (phase / 0.03) : fico2;
+    }
+
+    const x = (phase - tiFraction) / (1 - tiFraction); // 0 -> 1 through expiration
+    if (shape === 'bronchospasm') {
+        // shark fin: slow rounded rise with no real plateau
+        return fico2 + (etco2 - fico2) * (1 - Math.exp(-x / 0.3)) / (1 - Math.exp(-1 / 0.3));
+    }
+
+    // phase II steep rise, phase III gentle upslope to the end-tidal value
+    let value = x < 0.12
+        ? fico2 + (etco2 * 0.92 - fico2) * (x / 0.12)
+        : etco2 * (0.92 + 0.08 * (x - 0.12) / 0.88);
+
+    if (shape === 'curare') {
+        // cleft in the plateau from a spontaneous breath fighting the ventilator
+        value -= etco2 * 0.35 * Math.exp(-Math.pow((x - 0.6) / 0.05, 2));
+    }
+    return value;
+}
+
+export { Capnography, capnogram, CAPNO_SHAPES };
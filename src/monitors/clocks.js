@@ -0,0 +1,19 @@
+// Heartbeat and breath clocks shared by both monitors, so the ECG/pleth/art on one screen
+// and the capnogram/ventilation traces on both stay in step with each other.
+import patientState from './patient-state.js';
+import { CycleClock } from './cycle-clock.js';
+
+window.cardiacClock = window.cardiacClock || new CycleClock(() => patientState.get('hr'));
+window.breathClock = window.breathClock || new CycleClock(() => patientState.get('rr'));
+
+//both monitors call this every frame; the second call in a frame is a no-op (dt = 0)
+function tickClocks() {
+    const now = performance.now() / 1000;
+    window.cardiacClock.tick(now);
+    window.breathClock.tick(now);
+}
+
+const cardiacClock = window.cardiacClock;
+const breathClock = window.breathClock;
+
+export { cardiacClock, breathClock, tickClocks };
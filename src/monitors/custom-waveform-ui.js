@@ -0,0 +1,108 @@
+// Per-channel controls for playing editor waveforms, shared by both monitors: load a
+// waveform file onto the channel, set its amplitude, or go back to the built-in trace.
+import { parseCustomWaveform, clampScale } from './custom-waveform.js';
+import { CHANNELS } from '../shared/waveform-format.js';
+
+// goes inside each monitor's <style>
+const CUSTOM_WAVE_STYLE = `
+    .custom-wave {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 0.75em;
+    }
+    .custom-wave button {
+        background: none;
+        border: 1px solid #333;
+        color: #666;
+        padding: 2px 6px;
+        cursor: pointer;
+        border-radius: 4px;
+        transition: all 0.3s;
+    }
+    .custom-wave button:hover {
+        background: #333;
+        color: #fff;
+    }
+    .custom-wave .wave-scale {
+        width: 48px;
+    }
+    .custom-wave:not(.loaded) .wave-scale,
+    .custom-wave:not(.loaded) .wave-revert {
+        display: none;
+    }
+    .custom-wave.loaded .load-waveform {
+        color: #fafd24;
+        border-color: #fafd24;
+    }
+    :host([display-only]) .custom-wave {
+        display: none;
+    }
+`;
+
+//markup for one channel's controls; `channel` is the key of its renderer
+function customWaveControls(channel) {
+    return `
+        <span class="custom-wave" data-wave="${channel}">
+            <button class="load-waveform" title="Load a waveform from the editor">wave</button>
+            <input class="wave-scale" type="number" min="0.1" max="5" step="0.1" value="1" title="Amplitude">
+            <button class="wave-revert" title="Back to the built-in waveform">built-in</button>
+        </span>
+    `;
+}
+
+//wire up every channel's controls to its renderer; flash(message, colour) reports how loading went
+function bindCustomWaveforms(root, renderers, flash) {
+    root.querySelectorAll('.custom-wave').forEach(controls => {
+        const renderer = renderers[controls.dataset.wave];
+        const scale = controls.querySelector('.wave-scale');
+        const show = () => {
+            controls.classList.toggle('loaded', !!renderer.customWaveform);
+            controls.querySelector('.load-waveform').title = renderer.customWaveform
+                ? `Playing ${renderer.customWaveform.name}; load another waveform from the editor`
+                : 'Load a waveform from the editor';
+        };
+
+        controls.querySelector('.load-waveform').onclick = () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json';
+            input.onchange = (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    try {
+                        const waveform = parseCustomWaveform(event.target.result);
+                        renderer.setCustomWaveform(waveform, clampScale(scale.value));
+                        show();
+                        // still plays, but say so when it was drawn for another channel
+                        const drawnFor = waveform.channel && waveform.channel !== controls.dataset.wave
+                            ? ` (drawn for ${CHANNELS[waveform.channel].label})`
+                            : '';
+                        flash(`${waveform.name} loaded on ${controls.dataset.wave}${drawnFor}`, drawnFor ? '#ff9800' : '#4caf50');
+                    } catch (error) {
+                        console.error('Error loading waveform:', error);
+                        flash(error.message, '#f44336');
+                    }
+                };
+                reader.readAsText(file);
+            };
+            input.click();
+        };
+
+        scale.onchange = () => {
+            scale.value = clampScale(scale.value);
+            renderer.customScale = Number(scale.value);
+        };
+
+        controls.querySelector('.wave-revert').onclick = () => {
+            renderer.clearCustomWaveform();
+            show();
+        };
+        show();
+    });
+}
+
+export { bindCustomWaveforms, customWaveControls, CUSTOM_WAVE_STYLE };
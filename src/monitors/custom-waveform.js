@@ -0,0 +1,41 @@
+// Waveforms drawn in the editor and played on a monitor channel instead of the built-in trace.
+// Files are the editor's waveform format (shared/waveform-format.js): points with x 0 -> 1 across
+// one cycle and y in editor units (1 = a quarter of the editor canvas above its baseline). One
+// cycle is drawn per heartbeat or breath, whichever clock the channel runs off, so the trace still
+// follows the patient's rate; the channel's scale multiplies the height.
+import { sampleLoop } from '../shared/bezier.js';
+import { readWaveform } from '../shared/waveform-format.js';
+
+const DEFAULT_BASELINE = 0.67;  // share of the canvas height the built-in traces sit on
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 5;
+
+//a waveform file (any version the editor has written) ready to play, or an Error saying why not
+function parseCustomWaveform(text) {
+    const file = readWaveform(text);
+    // the editor keeps points in the order they were added; the monitor plays them left to right
+    return { ...file, points: [...file.points].sort((a, b) => a.x - b.x) };
+}
+
+//where the channel's baseline goes: the editor's, when there's a waveform
+function baselineRatio(waveform) {
+    if (!waveform) return DEFAULT_BASELINE;
+    const ratio = waveform.canvas.baseline / waveform.canvas.height;
+    return ratio > 0 && ratio < 1 ? ratio : DEFAULT_BASELINE;
+}
+
+function clampScale(scale) {
+    return Math.min(Math.max(Number(scale) || 1, MIN_SCALE), MAX_SCALE);
+}
+
+//height (editor units) at phase 0 -> 1 through the cycle, along the same curve the editor drew
+function sampleCustomWaveform(waveform, phase) {
+    return sampleLoop(waveform.points, phase);
+}
+
+//px above the baseline on a canvas `height` px tall, the editor's quarter-height unit scaled to fit
+function customWaveformHeight(waveform, phase, height, scale = 1) {
+    return sampleCustomWaveform(waveform, phase) * height / 4 * scale;
+}
+
+export { parseCustomWaveform, sampleCustomWaveform, customWaveformHeight, baselineRatio, clampScale };
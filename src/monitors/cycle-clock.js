@@ -0,0 +1,56 @@
+// Phase clock for repeating physiological cycles (heart beats, breaths)
+// Works by adding up rate * dt every frame rather than doing (time * rate) % 1, so when the
+// rate changes mid-cycle the trace carries on from where it was instead of jumping, and the
+// rate itself eases towards the new value over rampSeconds.
+
+class CycleClock {
+    constructor(getRate, rampSeconds = 2) {
+        this.getRate = getRate;       // per minute
+        this.rampSeconds = rampSeconds;
+        this.rate = getRate();
+        this.phase = 0;               // 0 -> 1 through the current cycle
+        this.scale = 1;               // this cycle's length relative to the rate (irregular rhythms)
+        this.cycles = 0;
+        this.lastTime = null;
+        this.listeners = [];
+    }
+
+    tick(time) {
+        if (this.lastTime === null) {
+            this.lastTime = time;
+            return this.phase;
+        }
+        // cap dt so a backgrounded tab doesn't fast-forward a pile of beats when it comes back
+        const dt = Math.min(Math.max(time - this.lastTime, 0), 0.25);
+        this.lastTime = time;
+
+        const target = this.getRate();
+        const blend = this.rampSeconds > 0 ? 1 - Math.exp(-dt / this.rampSeconds) : 1;
+        this.rate += (target - this.rate) * blend;
+
+        this.phase += dt * this.rate / 60 / this.scale;
+        if (this.phase >= 1) {
+            this.cycles += Math.floor(this.phase);
+            this.phase %= 1;
+            this.listeners.forEach(fn => fn(this.cycles));
+        }
+        return this.phase;
+    }
+
+    //length of the current cycle in seconds
+    getPeriod() {
+        return this.rate > 0 ? 60 / this.rate * this.scale : Infinity;
+    }
+
+    //phase as it was `seconds` ago, for things that lag the beat (pulse transit to finger/radial)
+    delayedPhase(seconds) {
+        const lag = seconds / this.getPeriod();
+        return ((this.phase - lag) % 1 + 1) % 1;
+    }
+
+    onCycle(fn) {
+        this.listeners.push(fn);
+    }
+}
+
+export { CycleClock };
@@ -0,0 +1,284 @@
+// Debrief: load a recorded session (a JSON export or one stored in this browser), scroll
+// through the trends, interventions and alarms, and click any moment to put both monitors
+// back into the state the patient was in at that instant.
+import patientState, { DEFAULT_STATE } from './patient-state.js';
+import simulation from './simulation.js';
+import eventLog from './event-log.js';
+import { CURVES, roundLike } from './value-ramps.js';
+import trendRecorder from './trend-recorder.js';
+import './Anesthesia-monitor.js';
+import './Vitals-monitor.js';
+
+const PX_PER_SECOND = 2;
+const SAMPLE_SECONDS = 5;
+
+// same colours as the numerics on the vitals monitor; fixed scales so sessions compare
+const TRENDS = [
+    { key: 'hr', color: '#24cf21ff', min: 0, max: 200 },
+    { key: 'spo2', color: '#02dafcff', min: 50, max: 100 },
+    { key: 'sys', color: '#c40000ff', min: 0, max: 250 },
+    { key: 'etco2', color: '#ffffff', min: 0, max: 100 }
+];
+
+const MARKER_COLORS = {
+    value: '#aaaaaa',
+    knob: '#aaaaaa',
+    ramp: '#2fff00',
+    transition: '#02bdfc',
+    scenario: '#02bdfc',
+    alarm: '#fafd24',
+    acknowledge: '#ff9800',
+    silence: '#ff9800',
+    'alarms-off': '#f44336',
+    nibp: '#ffffff'
+};
+
+//where a logged ramp had got to at a given time
+function rampValue(ramp, elapsed) {
+    const progress = Math.min(Math.max((elapsed - ramp.elapsed) / ramp.duration, 0), 1);
+    return roundLike(ramp.from + (ramp.value - ramp.from) * CURVES[ramp.curve](progress), ramp.value, ramp.from);
+}
+
+//replay the log up to a moment: last snapshot, then every change after it, ramps interpolated
+function stateAt(events, elapsed) {
+    let state = { ...DEFAULT_STATE };
+    let ramps = [];
+    for (const event of events) {
+        if (event.elapsed > elapsed) break;
+        if (event.type === 'snapshot') {
+            state = { ...state, ...event.values };
+            // the snapshot already has whatever finished ramps left behind
+            ramps = ramps.filter(ramp => ramp.elapsed + ramp.duration > event.elapsed);
+        } else if ((event.type === 'value' || event.type === 'knob') && event.key) {
+            state[event.key] = event.value;
+            ramps = ramps.filter(ramp => ramp.key !== event.key);
+        } else if (event.type === 'ramp' && event.key) {
+            ramps = ramps.filter(ramp => ramp.key !== event.key).concat(event);
+        } else if (event.type === 'ramp') {
+            // cancelled: values stay wherever they had reached
+            ramps.filter(ramp => ramp.ramp === event.ramp).forEach(ramp => { state[ramp.key] = rampValue(ramp, event.elapsed); });
+            ramps = ramps.filter(ramp => ramp.ramp !== event.ramp);
+        }
+    }
+    ramps.forEach(ramp => { state[ramp.key] = rampValue(ramp, elapsed); });
+    return state;
+}
+
+function formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function describe(event) {
+    switch (event.type) {
+        case 'value':
+        case 'knob':
+            return `${event.key} ${event.from} → ${event.value} (${event.source})`;
+        case 'ramp':
+            return event.key ? `${event.key} ${event.from} → ${event.value} over ${event.duration}s ${event.curve}` : event.message;
+        case 'transition':
+            return `scenario: ${event.from || 'start'} → ${event.value}`;
+        case 'alarm':
+            return `alarm: ${event.message}`;
+        case 'acknowledge':
+        case 'silence':
+        case 'alarms-off': {
+            const what = event.type === 'acknowledge' ? `acknowledged ${event.message}` : event.message;
+            return event.responseTime === undefined ? what : `${what} after ${event.responseTime}s`;
+        }
+        default:
+            return event.message || event.type;
+    }
+}
+
+class DebriefViewer {
+    constructor(root) {
+        this.root = root;
+        this.events = [];
+        this.duration = 0;
+        this.cursor = 0;
+
+        this.canvas = root.getElementById('trendCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.scroll = root.getElementById('trendScroll');
+        this.list = root.getElementById('eventList');
+        this.nameSpot = root.getElementById('sessionName');
+        this.timeSpot = root.getElementById('cursorTime');
+        this.sessionSelect = root.getElementById('storedSessions');
+        this.deleteButton = root.getElementById('deleteSession');
+
+        root.getElementById('loadSession').onclick = () => this.pickFile();
+        this.sessionSelect.onchange = () => {
+            this.deleteButton.disabled = !this.sessionSelect.value;
+            this.loadStored(this.sessionSelect.value);
+        };
+        this.deleteButton.onclick = () => this.deleteStored(this.sessionSelect.value);
+        this.canvas.addEventListener('click', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.select((e.clientX - rect.left) / PX_PER_SECOND);
+        });
+        this.listStoredSessions();
+    }
+
+    async listStoredSessions() {
+        const sessions = await eventLog.getSessions();
+        //keep the placeholder, redo the rest
+        while (this.sessionSelect.options.length > 1) this.sessionSelect.remove(1);
+        this.deleteButton.disabled = true;
+        sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = `${session.started.slice(0, 16).replace('T', ' ')} ${session.scenario || ''}`;
+            this.sessionSelect.appendChild(option);
+        });
+    }
+
+    async loadStored(id) {
+        if (!id) return;
+        const recorded = await eventLog.loadSession(id);
+        if (recorded) this.show(recorded);
+    }
+
+    async deleteStored(id) {
+        if (!id) return;
+        const label = this.sessionSelect.selectedOptions[0].textContent;
+        if (!window.confirm(`Delete the stored session ${label}?`)) return;
+        await eventLog.deleteSession(id);
+        this.listStoredSessions();
+    }
+
+    pickFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const recorded = JSON.parse(event.target.result);
+                    if (!Array.isArray(recorded.events)) throw new Error('not an event log export (no events)');
+                    this.show(recorded);
+                } catch (error) {
+                    console.error('Error loading session:', error);
+                    this.nameSpot.innerHTML = `<span class="error">${error.message}</span>`;
+                }
+            };
+            reader.readAsText(file);
+        };
+        input.click();
+    }
+
+    show({ session, events }) {
+        this.events = events.slice().sort((a, b) => a.elapsed - b.elapsed);
+        this.duration = this.events.length ? this.events[this.events.length - 1].elapsed : 0;
+        this.nameSpot.textContent = session
+            ? `${session.scenario || 'Free run'}, ${session.started.slice(0, 16).replace('T', ' ')}, ${formatTime(this.duration)}`
+            : 'Session';
+        this.samples = [];
+        for (let t = 0; t <= this.duration + SAMPLE_SECONDS; t += SAMPLE_SECONDS) {
+            this.samples.push({ t, state: stateAt(this.events, t) });
+        }
+        this.renderList();
+        this.select(0);
+    }
+
+    renderList() {
+        this.list.innerHTML = '';
+        this.rows = [];
+        this.events.forEach(event => {
+            if (event.type === 'snapshot') return;
+            const row = document.createElement('div');
+            row.className = event.type;
+            row.textContent = `${formatTime(event.elapsed)}  ${describe(event)}`;
+            row.onclick = () => this.select(event.elapsed);
+            this.list.appendChild(row);
+            this.rows.push({ row, elapsed: event.elapsed });
+        });
+    }
+
+    //move the cursor and show the monitors as they were then
+    select(elapsed) {
+        this.cursor = Math.min(Math.max(elapsed, 0), this.duration);
+        patientState.update(stateAt(this.events, this.cursor), 'debrief');
+        this.timeSpot.textContent = `at ${formatTime(this.cursor)}`;
+
+        let current = null;
+        this.rows.forEach(entry => {
+            entry.row.classList.remove('current');
+            if (entry.elapsed <= this.cursor) current = entry;
+        });
+        if (current) {
+            current.row.classList.add('current');
+            current.row.scrollIntoView({ block: 'nearest' });
+        }
+        this.draw();
+    }
+
+    draw() {
+        const height = this.scroll.clientHeight || 200;
+        this.canvas.width = Math.max(this.duration * PX_PER_SECOND, this.scroll.clientWidth);
+        this.canvas.height = height;
+        const ctx = this.ctx;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.canvas.width, height);
+
+        // minute gridlines
+        ctx.strokeStyle = '#222';
+        ctx.fillStyle = '#666';
+        ctx.font = '10px Arial';
+        for (let t = 0; t <= this.duration; t += 60) {
+            ctx.beginPath();
+            ctx.moveTo(t * PX_PER_SECOND, 0);
+            ctx.lineTo(t * PX_PER_SECOND, height);
+            ctx.stroke();
+            ctx.fillText(formatTime(t), t * PX_PER_SECOND + 2, height - 2);
+        }
+
+        TRENDS.forEach(trend => {
+            ctx.strokeStyle = trend.color;
+            ctx.beginPath();
+            this.samples.forEach(({ t, state }, i) => {
+                const fraction = (state[trend.key] - trend.min) / (trend.max - trend.min);
+                const y = height - 14 - Math.min(Math.max(fraction, 0), 1) * (height - 24);
+                if (i === 0) ctx.moveTo(t * PX_PER_SECOND, y);
+                else ctx.lineTo(t * PX_PER_SECOND, y);
+            });
+            ctx.stroke();
+        });
+
+        // a tick along the top for everything that happened
+        this.events.forEach(event => {
+            const color = MARKER_COLORS[event.type];
+            if (!color) return;
+            ctx.fillStyle = color;
+            ctx.fillRect(event.elapsed * PX_PER_SECOND, 0, 2, event.type === 'alarm' || event.type === 'transition' ? 10 : 5);
+        });
+
+        ctx.strokeStyle = '#ff00ff';
+        ctx.beginPath();
+        ctx.moveTo(this.cursor * PX_PER_SECOND, 0);
+        ctx.lineTo(this.cursor * PX_PER_SECOND, height);
+        ctx.stroke();
+    }
+}
+
+// replaying must not write a new session over the one being looked at
+eventLog.recording = false;
+
+// display-only like the learner view: anything changed here would be neither logged nor what happened
+const monitorRow = document.getElementById('monitorRow');
+['anaesthesia-monitor', 'vitals-monitor'].forEach(tag => {
+    const monitor = document.createElement(tag);
+    monitor.setAttribute('display-only', '');
+    monitorRow.appendChild(monitor);
+});
+// the monitors start the models (and trends) when they connect; here the log decides the values
+simulation.stop();
+trendRecorder.stop();
+
+window.debrief = new DebriefViewer(document);
+
+export { DebriefViewer, stateAt };
@@ -1,15 +1,94 @@
 // Tracks all changes to values in Vitals-monitor.js and Anesthesia-monitor.js
+// Entries are grouped into sessions (one per page load / scenario) and kept in IndexedDB so a
+// run survives a reload and can be pulled back out as CSV or JSON for the debrief.
+import patientState from './patient-state.js';
+
+const DB_NAME = 'anesthesia-sim';
+const DB_VERSION = 1;
+
+// these rewrite values every tick or breath; the numbers they produce belong in the trends,
+// the log only wants what someone (or the scenario) did
+const CONTINUOUS_SOURCES = ['oxygen', 'agent-uptake', 'capnography', 'ventilator', 'ramps', 'knob', 'nibp'];
+
+// how often the whole patient state is written down, so a debrief can rebuild any moment
+const SNAPSHOT_INTERVAL = 5000; // ms
+
+// a session with snapshots every 5 s is a few MB, so only the latest class runs are kept
+const MAX_SESSIONS = 20;
+
+const CSV_COLUMNS = ['timestamp', 'elapsed', 'type', 'source', 'key', 'from', 'value', 'message', 'priority', 'responseTime'];
+
+function openDatabase(indexedDB) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('sessions', { keyPath: 'id' });
+            const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+            events.createIndex('sessionId', 'sessionId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+//resolve an IDBRequest as a promise
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+//snapshots are for replaying, not reading, so they stay out of the spreadsheet
+function toCSV(events) {
+    const rows = events.filter(event => event.type !== 'snapshot').map(event => CSV_COLUMNS.map(column => csvCell(event[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
 
 class EventLog {
-    constructor() {
+    constructor(storage = window.indexedDB) {
         this.events = [];
         this.listeners = [];
+        this.session = null;
+        this.state = null;
+        this.lastSnapshot = 0;
+        this.recording = true; // off when replaying an old session (debrief)
+        // no IndexedDB (private browsing, tests) just means the log lives in memory
+        this.db = storage
+            ? openDatabase(storage).catch(error => {
+                console.error('Event log storage unavailable:', error);
+                return null;
+            })
+            : Promise.resolve(null);
+    }
+
+    //new session, e.g. { scenario: 'Anaphylaxis', patient: {...} }; the previous one stays stored
+    startSession(meta = {}) {
+        const started = new Date();
+        this.session = { id: `${started.getTime().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, started: started.toISOString(), ...meta };
+        this.events = [];
+        this.persist('sessions', this.session);
+        this.pruneSessions().catch(error => console.error('Could not delete old sessions:', error));
+        this.log({ type: 'session', message: meta.scenario ? `started ${meta.scenario}` : 'started' });
+        if (this.state) this.snapshot();
+        return this.session;
     }
 
     log(event) {
-        const timestamp = new Date().toISOString();
-        const entry = { ...event, timestamp };
+        if (!this.recording) return;
+        if (!this.session) this.startSession();
+        const now = new Date();
+        const elapsed = Math.round((now - new Date(this.session.started)) / 100) / 10;
+        const entry = { ...event, timestamp: now.toISOString(), elapsed, sessionId: this.session.id };
         this.events.push(entry);
+        this.persist('events', entry);
         this.listeners.forEach(fn => fn(entry));
     }
 
@@ -20,9 +99,108 @@ class EventLog {
     onLog(fn) {
         this.listeners.push(fn);
     }
+
+    //log every value someone changes, with what it was before
+    watch(state) {
+        this.state = state;
+        let previous = state.getState();
+        state.onChange((changed, source) => {
+            if (!CONTINUOUS_SOURCES.includes(source)) {
+                Object.entries(changed).forEach(([key, value]) => {
+                    this.log({ type: 'value', source, key, from: previous[key], value });
+                });
+            }
+            previous = state.getState();
+            if (Date.now() - this.lastSnapshot >= SNAPSHOT_INTERVAL) this.snapshot();
+        });
+    }
+
+    snapshot() {
+        this.lastSnapshot = Date.now();
+        this.log({ type: 'snapshot', values: this.state.getState() });
+    }
+
+    persist(store, record) {
+        this.db.then(db => {
+            if (db) db.transaction(store, 'readwrite').objectStore(store).put(record);
+        });
+    }
+
+    //every stored session, newest first
+    async getSessions() {
+        const db = await this.db;
+        if (!db) return this.session ? [this.session] : [];
+        const sessions = await requestResult(db.transaction('sessions').objectStore('sessions').getAll());
+        return sessions.sort((a, b) => b.started.localeCompare(a.started));
+    }
+
+    async loadSession(id) {
+        const db = await this.db;
+        if (!db) return this.session && this.session.id === id ? { session: this.session, events: this.getEvents() } : null;
+        const tx = db.transaction(['sessions', 'events']);
+        const [session, events] = await Promise.all([
+            requestResult(tx.objectStore('sessions').get(id)),
+            requestResult(tx.objectStore('events').index('sessionId').getAll(id))
+        ]);
+        return session ? { session, events } : null;
+    }
+
+    //remove a stored session and all its events; the one being recorded stays
+    async deleteSession(id) {
+        if (this.session && this.session.id === id) throw new Error('The session being recorded cannot be deleted');
+        const db = await this.db;
+        if (!db) return;
+        const tx = db.transaction(['sessions', 'events'], 'readwrite');
+        tx.objectStore('sessions').delete(id);
+        const cursor = tx.objectStore('events').index('sessionId').openCursor(id);
+        cursor.onsuccess = () => {
+            if (!cursor.result) return;
+            cursor.result.delete();
+            cursor.result.continue();
+        };
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    //keep the newest `keep` sessions, delete the rest
+    async pruneSessions(keep = MAX_SESSIONS) {
+        const sessions = await this.getSessions();
+        const old = sessions.slice(keep).filter(session => !this.session || session.id !== this.session.id);
+        for (const session of old) await this.deleteSession(session.id);
+    }
+
+    toCSV(events = this.events) {
+        return toCSV(events);
+    }
+
+    toJSON() {
+        return JSON.stringify({ session: this.session, events: this.events }, null, 2);
+    }
+
+    //save the current session as a file
+    download(format = 'csv') {
+        const text = format === 'json' ? this.toJSON() : this.toCSV();
+        const blob = new Blob([text], { type: format === 'json' ? 'application/json' : 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `session-${this.session ? this.session.started.slice(0, 19).replace(/:/g, '-') : 'empty'}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
 }
 
 // Singleton pattern for global event log
-window.eventLog = window.eventLog || new EventLog();
+if (!window.eventLog) {
+    window.eventLog = new EventLog();
+    window.eventLog.watch(patientState);
+}
 
+export { EventLog, toCSV };
 export default window.eventLog;
@@ -0,0 +1,66 @@
+// Fresh gas mixer (O2 + air or N2O, plus the vaporizer) and oxygen delivery
+// Concentrations are % of an atmosphere, volumes L, flows L/min.
+import { alveolarVentilation } from './patient-state.js';
+
+const HYPOXIC_GUARD_MIN_O2 = 25; // machine won't deliver less O2 than this with N2O on
+// the circuit and lungs the gases mix in, shared with the agent model so O2 and agent wash in alike
+const CIRCUIT_VOLUME = 7;
+const FRC = 2.5;
+const VO2 = 0.25;                // L/min O2 consumption
+const STEP_MINUTES = 1 / 600;    // integrate in 0.1 s steps however often we get called
+
+//what comes out of the common gas outlet for the current dial settings
+function mixFreshGas(state) {
+    let o2 = state.fgo2;
+    let hypoxicGuard = false;
+    if (state.carrier === 'n2o' && o2 < HYPOXIC_GUARD_MIN_O2) {
+        o2 = HYPOXIC_GUARD_MIN_O2;
+        hypoxicGuard = true;
+    }
+    const n2o = state.carrier === 'n2o' ? 100 - o2 : 0;
+
+    // vaporizer output takes its share of the flow from everything else
+    const dilution = 1 - state.sevDial / 100;
+    return {
+        o2: o2 * dilution,
+        n2o: n2o * dilution,
+        sev: state.sevDial,
+        hypoxicGuard
+    };
+}
+
+//O2 in the circuit and lungs; consumption comes out of the alveoli rather than tissues
+class OxygenDelivery {
+    constructor() {
+        this.name = 'oxygen';
+        this.reset();
+    }
+
+    reset() {
+        // start as if already breathing room air through the circuit
+        this.circuit = 21;
+        this.alveolar = 15;
+    }
+
+    step(dt, state) {
+        const fresh = mixFreshGas(state);
+        const va = alveolarVentilation(state);
+        const minutes = dt / 60;
+
+        for (let done = 0; done < minutes; done += STEP_MINUTES) {
+            const step = Math.min(STEP_MINUTES, minutes - done);
+            const dCircuit = (state.fgf * (fresh.o2 - this.circuit) + va * (this.alveolar - this.circuit)) / CIRCUIT_VOLUME;
+            const dAlveolar = (va * (this.circuit - this.alveolar) - VO2 * 100) / FRC;
+            this.circuit += step * dCircuit;
+            this.alveolar = Math.max(this.alveolar + step * dAlveolar, 0);
+        }
+
+        return {
+            fio2: Math.round(this.circuit),
+            eto2: Math.round(this.alveolar),
+            hypoxicGuard: fresh.hypoxicGuard
+        };
+    }
+}
+
+export { mixFreshGas, OxygenDelivery, HYPOXIC_GUARD_MIN_O2, CIRCUIT_VOLUME, FRC, STEP_MINUTES };
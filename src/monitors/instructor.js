@@ -0,0 +1,263 @@
+// Instructor console: runs the patient (models, scenarios, ramps, event log) and sends every
+// change to the learner monitors over the remote link. Nothing here is seen by the learners.
+import patientState from './patient-state.js';
+import simulation from './simulation.js';
+import scenarioRunner from './scenario-runner.js';
+import valueRamps, { CURVES } from './value-ramps.js';
+import eventLog from './event-log.js';
+import { CAPNO_SHAPES } from './capnography.js';
+import { RHYTHMS } from './rhythms.js';
+import { DAMPING_STATES } from './arterial.js';
+import { SIGNAL_STATES } from './pleth.js';
+import { RemoteLink } from './remote-link.js';
+import alarms from './alarms.js';
+import nibp from './nibp.js';
+import { AlarmLimitsPanel } from './alarm-ui.js';
+
+// what the console can set, grouped the way the monitors show them
+const PARAMETERS = {
+    Patient: [
+        { key: 'age', label: 'Age', min: 0, max: 110 }
+    ],
+    Cardiovascular: [
+        { key: 'rhythm', label: 'Rhythm', options: Object.keys(RHYTHMS) },
+        { key: 'hr', label: 'HR', min: 0, max: 300 },
+        { key: 'sys', label: 'Systolic', min: 0, max: 300 },
+        { key: 'dia', label: 'Diastolic', min: 0, max: 300 },
+        { key: 'map', label: 'MAP', min: 0, max: 300 },
+        { key: 'artDamping', label: 'Art damping', options: DAMPING_STATES },
+        { key: 'ppv', label: 'PPV %', min: 0, max: 40 },
+        { key: 'spo2', label: 'SpO2', min: 0, max: 100 },
+        { key: 'pi', label: 'Perfusion idx', min: 0, max: 20, step: 0.1 },
+        { key: 'spo2Signal', label: 'SpO2 probe', options: SIGNAL_STATES },
+        { key: 'st', label: 'ST', min: -5, max: 5, step: 0.1 }
+    ],
+    'Lungs & CO2': [
+        { key: 'etco2', label: 'etCO2', min: 0, max: 95 },
+        { key: 'vco2', label: 'VCO2', min: 0, max: 1000 },
+        { key: 'capnoShape', label: 'Capnogram', options: CAPNO_SHAPES },
+        { key: 'compliance', label: 'Compliance', min: 5, max: 150 },
+        { key: 'resistance', label: 'Resistance', min: 1, max: 80 }
+    ],
+    Ventilator: [
+        { key: 'ventMode', label: 'Mode', options: ['VCV', 'PCV'] },
+        { key: 'rr', label: 'Rate', min: 0, max: 60 },
+        { key: 'vt', label: 'VT', min: 0, max: 1500 },
+        { key: 'pinsp', label: 'Pinsp', min: 5, max: 60 },
+        { key: 'peep', label: 'PEEP', min: 0, max: 30 },
+        { key: 'pmax', label: 'Pmax', min: 10, max: 80 },
+        { key: 'ie', label: 'I:E (1:x)', min: 0.5, max: 4, step: 0.1 }
+    ],
+    'Fresh gas': [
+        { key: 'carrier', label: 'Carrier', options: ['air', 'n2o'] },
+        { key: 'fgo2', label: 'O2 %', min: 21, max: 100 },
+        { key: 'fgf', label: 'Flow L/min', min: 0, max: 15, step: 0.5 },
+        { key: 'sevDial', label: 'Sevo %', min: 0, max: 8, step: 0.1 }
+    ]
+};
+
+class InstructorConsole {
+    constructor(root, link) {
+        this.root = root;
+        this.link = link;
+        this.learners = new Set(); // ids of the learner pages that said hello
+
+        this.buildParameters();
+        this.initApply();
+        this.initScenarioControls();
+        this.initLink();
+
+        root.getElementById('exportCsv').onclick = () => eventLog.download('csv');
+        root.getElementById('exportJson').onclick = () => eventLog.download('json');
+
+        this.renderValues();
+        patientState.onChange(() => this.renderValues());
+        valueRamps.onChange(ramps => this.renderRamps(ramps));
+
+        // limits here apply to every monitor, and what's alarming is listed for the instructor too
+        new AlarmLimitsPanel(root.getElementById('alarmLimits'), alarms);
+        this.renderAlarms(alarms.list());
+        alarms.onChange(list => this.renderAlarms(list));
+    }
+
+    renderAlarms(list) {
+        const spot = this.root.getElementById('activeAlarms');
+        const { silenced, off } = alarms.status();
+        const state = off ? '<div class="alarm-warning">ALARMS OFF</div>'
+            : silenced ? `<div>silenced ${silenced}s</div>` : '';
+        spot.innerHTML = state + (list.length
+            ? list.map(alarm => `<div class="alarm-${alarm.priority}">${alarm.message}${alarm.latched ? ' (latched)' : ''}${alarm.acknowledged ? ' (ack)' : ''} <small>${alarm.monitor}</small></div>`).join('')
+                + (list.some(alarm => alarm.latched) ? '<button id="clearLatched">reset latched</button>' : '')
+            : (off ? '' : 'No alarms'));
+        const clear = this.root.getElementById('clearLatched');
+        if (clear) clear.onclick = () => alarms.clearLatched();
+    }
+
+    buildParameters() {
+        const groups = this.root.getElementById('groups');
+        Object.entries(PARAMETERS).forEach(([group, params]) => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.innerHTML = `<legend>${group}</legend>` + params.map(param => `
+                <div class="param">
+                    <label for="set-${param.key}">${param.label}</label>
+                    <span class="current" data-current="${param.key}"></span>
+                    ${param.options
+                        ? `<select id="set-${param.key}" data-key="${param.key}"><option value=""></option>${param.options.map(o => `<option value="${o}">${o}</option>`).join('')}</select>`
+                        : `<input type="number" id="set-${param.key}" data-key="${param.key}" min="${param.min}" max="${param.max}" step="${param.step || 1}">`}
+                </div>
+            `).join('');
+            groups.appendChild(fieldset);
+        });
+
+        this.inputs = Array.from(groups.querySelectorAll('[data-key]'));
+        this.inputs.forEach(input => {
+            input.addEventListener('input', () => input.classList.toggle('edited', input.value !== ''));
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.apply();
+            });
+        });
+    }
+
+    initApply() {
+        const curve = this.root.getElementById('curve');
+        curve.innerHTML = Object.keys(CURVES).map(name => `<option value="${name}">${name}</option>`).join('');
+        this.root.getElementById('apply').onclick = () => this.apply();
+        this.root.getElementById('clear').onclick = () => this.clearInputs();
+    }
+
+    //everything typed in goes out together as one change (or one ramp)
+    apply() {
+        const changes = {};
+        this.inputs.forEach(input => {
+            if (input.value === '') return;
+            changes[input.dataset.key] = input.tagName === 'SELECT' ? input.value : Number(input.value);
+        });
+        if (Object.keys(changes).length === 0) return;
+
+        // same shortcut as the ART modal: a new sys/dia without a MAP gets one worked out
+        if (('sys' in changes || 'dia' in changes) && !('map' in changes)) {
+            const sys = changes.sys ?? patientState.get('sys');
+            const dia = changes.dia ?? patientState.get('dia');
+            changes.map = Math.round(dia + (sys - dia) / 3);
+        }
+
+        valueRamps.start(changes, {
+            duration: Number(this.root.getElementById('duration').value) || 0,
+            curve: this.root.getElementById('curve').value,
+            label: 'instructor'
+        }, 'instructor');
+        this.clearInputs();
+    }
+
+    clearInputs() {
+        this.inputs.forEach(input => {
+            input.value = '';
+            input.classList.remove('edited');
+        });
+    }
+
+    renderValues() {
+        const state = patientState.getState();
+        this.root.querySelectorAll('[data-current]').forEach(spot => {
+            spot.textContent = state[spot.dataset.current];
+        });
+    }
+
+    renderRamps(ramps) {
+        const list = this.root.getElementById('ramps');
+        list.innerHTML = '';
+        ramps.forEach(ramp => {
+            const row = document.createElement('div');
+            const target = Object.keys(ramp.to).map(key => `${key} ${ramp.from[key]} → ${ramp.to[key]}`).join(', ');
+            row.innerHTML = `
+                <span class="ramp-bar"><span style="width:${Math.round(valueRamps.progress(ramp) * 100)}%"></span></span>
+                ${ramp.label}: ${target} (${ramp.duration}s ${ramp.curve})
+                <button>cancel</button>
+            `;
+            row.querySelector('button').onclick = () => valueRamps.cancel(ramp.id);
+            list.appendChild(row);
+        });
+    }
+
+    initScenarioControls() {
+        const loadBtn = this.root.getElementById('loadScenario');
+        const stopBtn = this.root.getElementById('stopScenario');
+        const stateSelect = this.root.getElementById('scenarioState');
+        const nameSpot = this.root.getElementById('scenarioName');
+
+        loadBtn.onclick = () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json';
+            input.onchange = (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    try {
+                        scenarioRunner.load(JSON.parse(event.target.result));
+                    } catch (error) {
+                        console.error('Error loading scenario:', error);
+                        nameSpot.innerHTML = `<span class="error">${error.message}</span>`;
+                    }
+                };
+                reader.readAsText(file);
+            };
+            input.click();
+        };
+
+        stopBtn.onclick = () => scenarioRunner.stop();
+        stateSelect.onchange = () => scenarioRunner.goto(stateSelect.value);
+
+        scenarioRunner.onChange((event) => {
+            const running = event.type !== 'stop';
+            stopBtn.style.display = running ? '' : 'none';
+            stateSelect.style.display = running ? '' : 'none';
+            nameSpot.textContent = running ? event.scenario : `${event.scenario} (stopped)`;
+            if (event.type === 'transition') {
+                stateSelect.innerHTML = Object.keys(scenarioRunner.scenario.states)
+                    .map(name => `<option value="${name}">${name}</option>`)
+                    .join('');
+                stateSelect.value = event.to;
+            }
+        });
+    }
+
+    initLink() {
+        // every change, whoever made it, goes to the monitors, and so does the alarm list
+        patientState.onChange((changes) => this.link.send({ type: 'state', changes }));
+        patientState.onReset(() => this.link.send({ type: 'reset', state: patientState.getState() }));
+        alarms.onChange((list) => this.link.send({ type: 'alarms', alarms: list, ...alarms.status() }));
+
+        this.link.onMessage((message) => {
+            if (message.type === 'hello') {
+                this.learners.add(message.id);
+                this.link.send({ type: 'state', changes: patientState.getState() });
+                this.link.send({ type: 'alarms', alarms: alarms.list(), ...alarms.status() });
+            } else if (message.type === 'alarm-action') {
+                alarms.perform(message);
+            } else if (message.type === 'nibp-action') {
+                nibp.perform(message);
+            } else if (message.type === 'bye') {
+                this.learners.delete(message.id);
+            }
+            this.renderLinkStatus();
+        });
+        this.link.onStatus(() => this.renderLinkStatus());
+        this.renderLinkStatus();
+    }
+
+    renderLinkStatus() {
+        const spot = this.root.getElementById('linkStatus');
+        const via = this.link.url ? 'relay' : 'this machine';
+        spot.className = this.link.status === 'open' ? 'link-open' : 'link-closed';
+        spot.textContent = this.link.status === 'open'
+            ? `${this.learners.size} monitor${this.learners.size === 1 ? '' : 's'} (${via})`
+            : `relay ${this.link.status}`;
+    }
+}
+
+window.instructorConsole = new InstructorConsole(document, RemoteLink.fromLocation());
+simulation.start();
+
+export { InstructorConsole, PARAMETERS };
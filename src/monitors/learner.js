@@ -0,0 +1,52 @@
+// Learner view: both monitors, display-only, following whatever the instructor console sends.
+// The console runs the physiology and keeps the log; this page just draws.
+import patientState from './patient-state.js';
+import eventLog from './event-log.js';
+import { RemoteLink } from './remote-link.js';
+import alarms from './alarms.js';
+import nibp from './nibp.js';
+import './Anesthesia-monitor.js';
+import './Vitals-monitor.js';
+
+eventLog.recording = false;
+
+const statusSpot = document.getElementById('linkStatus');
+const link = RemoteLink.fromLocation();
+
+// silence / acknowledge / alarms off pressed here are done (and logged) by the console's engine
+alarms.forward = (action) => link.send({ type: 'alarm-action', ...action });
+nibp.forward = (action) => link.send({ type: 'nibp-action', ...action });
+
+link.onMessage((message) => {
+    if (message.type === 'alarms') {
+        alarms.mirror(message.alarms, message);
+    } else if (message.type === 'state') {
+        patientState.update(message.changes, 'remote');
+        statusSpot.style.display = 'none';
+    } else if (message.type === 'reset') {
+        // new patient: starts the trends over here too
+        patientState.reset(message.state, 'remote');
+    }
+});
+
+// ask for the whole picture when we connect (and again after the relay comes back)
+// the same id after a reconnect, so the console counts this page once
+const learnerId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+const hello = () => link.send({ type: 'hello', role: 'learner', id: learnerId });
+link.onStatus((status) => {
+    if (status === 'open') {
+        hello();
+    } else {
+        statusSpot.textContent = 'Lost the instructor console, reconnecting…';
+        statusSpot.style.display = '';
+    }
+});
+if (link.status === 'open') hello();
+window.addEventListener('beforeunload', () => link.send({ type: 'bye', role: 'learner', id: learnerId }));
+
+const monitorRow = document.getElementById('monitorRow');
+['anaesthesia-monitor', 'vitals-monitor'].forEach(tag => {
+    const monitor = document.createElement(tag);
+    monitor.setAttribute('display-only', '');
+    monitorRow.appendChild(monitor);
+});
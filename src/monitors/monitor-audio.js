@@ -0,0 +1,96 @@
+// Monitor sound: the QRS / pulse-ox beep every heartbeat and the alarm melody for the most
+// urgent active alarm, through one master volume. The tones themselves come from audio-tones.js.
+import patientState, { ARREST_RHYTHMS } from './patient-state.js';
+import { cardiacClock } from './clocks.js';
+import alarms from './alarms.js';
+import { MELODIES, scheduleMelody, scheduleBeep } from './audio-tones.js';
+
+const VOLUME_KEY = 'monitorVolume';
+const BEEP_GAIN = 0.4; // beeps sit under the alarms
+
+class MonitorAudio {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.ctx = null;
+        this.volume = Number((storage && storage.getItem(VOLUME_KEY)) || 0.5);
+        this.beepEnabled = true;
+        this.alarmPriority = null;
+        this.alarmTimer = null;
+        this.listeners = [];
+    }
+
+    //browsers only allow sound after the user has done something, so start on the first click/key
+    attach() {
+        if (this.attached) return;
+        this.attached = true;
+        const unlock = () => this.resume();
+        window.addEventListener('pointerdown', unlock, { once: true });
+        window.addEventListener('keydown', unlock, { once: true });
+
+        cardiacClock.onCycle(() => this.beat());
+        alarms.onChange(list => this.updateAlarm(list));
+    }
+
+    resume() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!this.ctx && AudioContextClass) {
+            this.ctx = new AudioContextClass();
+            this.master = this.ctx.createGain();
+            this.master.gain.value = this.volume;
+            this.master.connect(this.ctx.destination);
+        }
+        if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
+        this.updateAlarm(alarms.list());
+    }
+
+    setVolume(volume) {
+        this.volume = Math.min(Math.max(volume, 0), 1);
+        if (this.master) this.master.gain.setValueAtTime(this.volume, this.ctx.currentTime);
+        if (this.storage) this.storage.setItem(VOLUME_KEY, String(this.volume));
+        this.notify();
+    }
+
+    //no beep without a QRS to beep on
+    beat() {
+        if (!this.ctx || !this.beepEnabled) return;
+        const state = patientState.getState();
+        if (ARREST_RHYTHMS.includes(state.rhythm) || state.hr <= 0) return;
+        scheduleBeep(this.ctx, this.master, this.ctx.currentTime, state.spo2, BEEP_GAIN);
+    }
+
+    //alarms that should be heard right now; latched and acknowledged ones are only shown
+    audible(list) {
+        if (alarms.off || alarms.silenceRemaining() > 0) return [];
+        return list.filter(alarm => alarm.active && !alarm.acknowledged);
+    }
+
+    //loop the melody of the most urgent alarm, switching (or stopping) when that changes
+    updateAlarm(list) {
+        const top = this.audible(list)[0];
+        const priority = top ? top.priority : null;
+        if (priority === this.alarmPriority && this.alarmTimer) return;
+
+        clearInterval(this.alarmTimer);
+        this.alarmTimer = null;
+        this.alarmPriority = priority;
+        if (!priority || !this.ctx) return;
+
+        const play = () => scheduleMelody(this.ctx, this.master, this.ctx.currentTime + 0.05, priority);
+        play();
+        this.alarmTimer = setInterval(play, MELODIES[priority].repeat * 1000);
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn(this));
+    }
+}
+
+// Singleton pattern so both monitors share one sound output
+window.monitorAudio = window.monitorAudio || new MonitorAudio();
+
+export { MonitorAudio };
+export default window.monitorAudio;
@@ -0,0 +1,145 @@
+// Non-invasive BP cuff. Pumps up past systolic, bleeds down while it "listens", then reads the
+// patient's BP with the sort of error a real oscillometric cuff has (worse when the arm moves).
+// Runs manually, on an interval (nibpInterval minutes, 0 = manual), or STAT: back-to-back
+// readings for 5 minutes. Everything the monitors show goes through the patient state
+// (nibpPhase, nibpCuff, nibpNext, nibpStat, and the last reading in nibpSys/Dia/Map at nibpTime), so
+// learner monitors follow along too; a null reading is a failed measurement.
+import patientState, { ARREST_RHYTHMS } from './patient-state.js';
+import simulation from './simulation.js';
+import eventLog from './event-log.js';
+
+const INTERVALS = [0, 1, 2.5, 5, 10, 15]; // minutes, 0 = manual
+const STAT_SECONDS = 300;
+const INFLATE_RATE = 40;    // mmHg/s
+const DEFLATE_RATE = 6;     // mmHg/s
+const OVERSHOOT = 30;       // inflate this far past systolic
+const MIN_INFLATE = 140;
+
+//roughly normal, mean 0 and the given spread
+function noise(random, sd) {
+    return (random() + random() + random() - 1.5) * 2 * sd;
+}
+
+class NibpCuff {
+    constructor(state, random = Math.random) {
+        this.name = 'nibp';
+        this.state = state;
+        this.random = random;
+        this.forward = null; // set on learner monitors: button presses go to the instructor console
+        this.reset();
+    }
+
+    reset() {
+        this.phase = 'idle';
+        this.cuff = 0;
+        this.wait = 0;
+        this.statLeft = 0;
+    }
+
+    start() {
+        if (this.forward) return this.forward({ action: 'start' });
+        if (this.phase === 'idle') this.begin(this.state.getState());
+    }
+
+    //let the cuff down without a reading (and drop out of STAT)
+    stop() {
+        if (this.forward) return this.forward({ action: 'stop' });
+        if (this.phase !== 'idle') eventLog.log({ type: 'nibp', message: 'NIBP stopped' });
+        this.phase = 'idle';
+        this.cuff = 0;
+        this.statLeft = 0;
+    }
+
+    setInterval(minutes) {
+        if (this.forward) return this.forward({ action: 'interval', minutes });
+        if (!INTERVALS.includes(minutes)) throw new Error(`NIBP interval must be one of ${INTERVALS.join(', ')} minutes`);
+        this.wait = 0;
+        this.state.set('nibpInterval', minutes);
+    }
+
+    stat() {
+        if (this.forward) return this.forward({ action: 'stat' });
+        this.statLeft = STAT_SECONDS;
+        eventLog.log({ type: 'nibp', message: 'NIBP STAT' });
+        this.start();
+    }
+
+    //a button pressed on a learner monitor, passed along by the remote link
+    perform({ action, minutes }) {
+        if (action === 'start') this.start();
+        else if (action === 'stop') this.stop();
+        else if (action === 'interval') this.setInterval(minutes);
+        else if (action === 'stat') this.stat();
+    }
+
+    begin(state) {
+        this.phase = 'inflating';
+        this.wait = 0;
+        this.target = Math.max(state.sys + OVERSHOOT, MIN_INFLATE);
+        // stops listening a little under diastolic
+        this.stopAt = Math.max(state.dia - 10, 20);
+    }
+
+    //what the cuff makes of the patient's BP; null when it can't find a pulse
+    measure(state) {
+        if (ARREST_RHYTHMS.includes(state.rhythm) || state.sys < 40) return null;
+        const spread = state.spo2Signal === 'motion' ? 3 : 1;
+        const map = Math.round(state.map + noise(this.random, 3 * spread));
+        const sys = Math.max(Math.round(state.sys + noise(this.random, 5 * spread)), map + 2);
+        const dia = Math.min(Math.round(state.dia + noise(this.random, 4 * spread)), map - 2);
+        return { sys, dia, map };
+    }
+
+    finish(state) {
+        const reading = this.measure(state);
+        this.phase = 'idle';
+        this.cuff = 0;
+        eventLog.log({
+            type: 'nibp',
+            message: reading ? `NIBP ${reading.sys}/${reading.dia} (${reading.map})` : 'NIBP failed, no pulse found'
+        });
+        return {
+            nibpSys: reading ? reading.sys : null,
+            nibpDia: reading ? reading.dia : null,
+            nibpMap: reading ? reading.map : null,
+            nibpTime: Date.now()
+        };
+    }
+
+    step(dt, state) {
+        let changes = {};
+        if (this.statLeft > 0) this.statLeft = Math.max(this.statLeft - dt, 0);
+
+        if (this.phase === 'idle') {
+            if (this.statLeft > 0) {
+                this.begin(state);
+            } else if (state.nibpInterval > 0) {
+                this.wait += dt;
+                if (this.wait >= state.nibpInterval * 60) this.begin(state);
+            }
+        } else if (this.phase === 'inflating') {
+            this.cuff = Math.min(this.cuff + INFLATE_RATE * dt, this.target);
+            if (this.cuff >= this.target) this.phase = 'deflating';
+        } else {
+            this.cuff -= DEFLATE_RATE * dt;
+            if (this.cuff <= this.stopAt) changes = this.finish(state);
+        }
+
+        const next = state.nibpInterval > 0 && this.phase === 'idle' && this.statLeft === 0
+            ? Math.ceil(state.nibpInterval * 60 - this.wait)
+            : null;
+        return {
+            ...changes,
+            nibpPhase: this.phase,
+            nibpCuff: Math.round(this.cuff),
+            nibpNext: next,
+            nibpStat: this.statLeft > 0
+        };
+    }
+}
+
+// Singleton pattern so both monitors share one cuff
+window.nibp = window.nibp || simulation.register(new NibpCuff(patientState));
+
+export { NibpCuff, INTERVALS };
+export default window.nibp;
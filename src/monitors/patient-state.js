@@ -0,0 +1,142 @@
+// Shared patient state for Vitals-monitor.js and Anesthesia-monitor.js
+// Everything that gets displayed (waveforms, numerics, alarms) reads from here, and every
+// control (modals, dials) writes to here, so one change shows up on both monitors at once.
+
+const DEFAULT_STATE = {
+    // patient
+    age: 40,
+
+    // cardiovascular
+    hr: 75,
+    rhythm: 'sinus',
+    st: 0.3,            // mm in lead II, negative for depression
+    tInverted: false,
+    sys: 120,
+    dia: 80,
+    map: 93,
+    spo2: 98,
+    pi: 2.5,                // % perfusion index at the oximeter probe
+    spo2Signal: 'good',     // 'good', 'motion', 'poor-contact', 'probe-off'
+    artDamping: 'optimal',  // arterial line transducer: 'optimal', 'over', 'under'
+    ppv: 5,                 // % pulse pressure variation with ventilation
+
+    // NIBP cuff: interval in minutes (0 = manual), last reading (null = none / failed)
+    nibpInterval: 0,
+    nibpPhase: 'idle',      // 'idle', 'inflating', 'deflating'
+    nibpCuff: 0,            // cuff pressure, mmHg
+    nibpNext: null,         // s to the next automatic reading
+    nibpStat: false,
+    nibpSys: null,
+    nibpDia: null,
+    nibpMap: null,
+    nibpTime: null,
+
+    // ventilator settings
+    ventMode: 'VCV',
+    rr: 12,
+    vt: 500,
+    peep: 5,
+    pmax: 30,
+    pinsp: 20,
+    ie: 2,
+
+    // lung mechanics (mL/cmH2O, cmH2O/L/s)
+    compliance: 50,
+    resistance: 10,
+
+    // measured ventilation
+    vte: 500,
+    ppeak: 18,
+    pplat: 15,
+    mv: 6,
+
+    // CO2
+    vco2: 200,          // mL/min
+    paco2: 40,
+    etco2: 35,
+    fico2: 0,
+    capnoShape: 'normal',
+
+    // fresh gas and agents
+    carrier: 'air',     // balance gas mixed with O2: 'air' or 'n2o'
+    fgo2: 50,
+    fgf: 2,
+    sevDial: 2.0,
+    fio2: 21,
+    eto2: 15,
+    hypoxicGuard: false,
+    sevInsp: 0,
+    sevExp: 0,
+    n2oInsp: 0,
+    n2oExp: 0,
+    mac: 0
+};
+
+// rhythms with no effective cardiac output
+const ARREST_RHYTHMS = ['vf', 'asystole', 'pea'];
+const DEAD_SPACE = 150; // mL
+
+//rough cardiac output (L/min) from HR and pulse pressure, 70 mL stroke volume at 40 mmHg
+function cardiacOutput(state) {
+    if (ARREST_RHYTHMS.includes(state.rhythm)) return 0;
+    const strokeVolume = 70 * Math.min(Math.max((state.sys - state.dia) / 40, 0), 2);
+    return state.hr * strokeVolume / 1000;
+}
+
+//L/min of gas that actually reaches the alveoli
+function alveolarVentilation(state) {
+    return Math.max(state.vte - DEAD_SPACE, 0) * state.rr / 1000;
+}
+
+class PatientState {
+    constructor(initial = DEFAULT_STATE) {
+        this.values = { ...initial };
+        this.listeners = [];
+        this.resetListeners = [];
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getState() {
+        return { ...this.values };
+    }
+
+    set(key, value, source) {
+        this.update({ [key]: value }, source);
+    }
+
+    //apply several changes at once so listeners only hear about them once (e.g. sys/dia/map together)
+    update(changes, source = 'local') {
+        const changed = {};
+        Object.entries(changes).forEach(([key, value]) => {
+            if (this.values[key] !== value) {
+                this.values[key] = value;
+                changed[key] = value;
+            }
+        });
+        if (Object.keys(changed).length === 0) return;
+        this.listeners.forEach(fn => fn(changed, source));
+    }
+
+    //back to the defaults (plus `values`) for a new patient; onReset listeners hear after the changes have gone out
+    reset(values = DEFAULT_STATE, source = 'local') {
+        this.update({ ...DEFAULT_STATE, ...values }, source);
+        this.resetListeners.forEach(fn => fn(source));
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    onReset(fn) {
+        this.resetListeners.push(fn);
+    }
+}
+
+// Singleton pattern so both monitors share one patient
+window.patientState = window.patientState || new PatientState();
+
+export { PatientState, DEFAULT_STATE, ARREST_RHYTHMS, cardiacOutput, alveolarVentilation };
+export default window.patientState;
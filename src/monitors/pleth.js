@@ -0,0 +1,43 @@
+// Pulse oximeter: the pleth trace and whether the probe is getting a usable signal.
+// Pulse height follows the perfusion index (pi, %: pulsatile / total light absorbed, ~1-5 in a
+// warm well-perfused hand, well under 1 when shut down). The probe signal can be:
+//   good          clean trace, SpO2 shown
+//   motion        patient / cable moving: big wandering artefact over the pulse, SpO2 still shown
+//   poor-contact  probe half off: small noisy trace, no SpO2
+//   probe-off     nothing: flat trace, no SpO2, probe alarm
+import { ARREST_RHYTHMS } from './patient-state.js';
+import { pulseShape } from './arterial.js';
+
+const SIGNAL_STATES = ['good', 'motion', 'poor-contact', 'probe-off'];
+
+const PLETH_HEIGHT = 35;    // px for a full-size pulse
+const FULL_PI = 5;          // pi at or above which the pulse is full size
+const MIN_PI = 0.2;         // below this the oximeter can't find a pulse to read
+
+//SpO2 the monitor can put on screen, or null for "---"
+function spo2Reading(state) {
+    if (state.spo2Signal === 'poor-contact' || state.spo2Signal === 'probe-off') return null;
+    if (ARREST_RHYTHMS.includes(state.rhythm) || state.pi < MIN_PI) return null;
+    return state.spo2;
+}
+
+//pleth height (px above the baseline) t seconds into a beat; time (s) drives the artefacts
+function plethysmogram(t, period, { pi, signal = 'good', time = 0, random = Math.random }) {
+    if (signal === 'probe-off' || !isFinite(period)) return 0;
+    // a finger is an over-damped art line: no sharp upstroke, notch smoothed away
+    const pulse = PLETH_HEIGHT * Math.min(Math.sqrt(Math.max(pi, 0) / FULL_PI), 1) * pulseShape(t, period, 'over');
+
+    switch (signal) {
+        case 'motion':
+            return pulse
+                + 18 * Math.sin(2 * Math.PI * 1.3 * time) * Math.sin(2 * Math.PI * 0.2 * time)
+                + 10 * Math.sin(2 * Math.PI * 2.9 * time + 1)
+                + 4 * (random() - 0.5);
+        case 'poor-contact':
+            return pulse * 0.3 + 6 * (random() - 0.5);
+        default:
+            return pulse;
+    }
+}
+
+export { plethysmogram, spo2Reading, SIGNAL_STATES };
@@ -0,0 +1,92 @@
+// Link between the instructor console and the learner monitors.
+// Same machine: BroadcastChannel between tabs/windows. Another machine on the LAN: a WebSocket
+// to the relay (src/relay/relay.mjs), which passes every message on to everyone else connected.
+// Messages are plain objects:
+//   { type: 'hello', role: 'learner', id }    <- a monitor page opened (or reconnected), wants the full state
+//   { type: 'state', changes: { hr: 80 } }     <- patient values, applied as-is on the monitor
+//   { type: 'reset', state: { ... } }          <- a new patient (scenario loaded), with every value
+//   { type: 'alarms', alarms: [...], silenced: 95, off: false }
+//                                              <- everything alarming, from the console's engine
+//   { type: 'alarm-action', action: 'acknowledge', id: 'hr' }
+//                                              -> silence / acknowledge / alarms off pressed on a monitor
+//   { type: 'nibp-action', action: 'interval', minutes: 5 }
+//                                              -> NIBP start / stop / interval / STAT pressed on a monitor
+//   { type: 'bye', role: 'learner', id }
+const CHANNEL_NAME = 'anesthesia-sim';
+const RECONNECT_MS = 2000;
+
+class RemoteLink {
+    //url (ws://host:port) means go through the relay, otherwise stay on this machine
+    constructor({ url = null, channel = CHANNEL_NAME } = {}) {
+        this.url = url;
+        this.channel = channel;
+        this.listeners = [];
+        this.statusListeners = [];
+        this.status = 'connecting';
+        this.closed = false;
+        this.connect();
+    }
+
+    connect() {
+        if (!this.url) {
+            this.port = new BroadcastChannel(this.channel);
+            this.port.onmessage = (e) => this.receive(e.data);
+            this.setStatus('open');
+            return;
+        }
+
+        this.socket = new WebSocket(this.url);
+        this.socket.onopen = () => this.setStatus('open');
+        this.socket.onmessage = (e) => {
+            try {
+                this.receive(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Bad message from relay:', error);
+            }
+        };
+        // relay restarted or wifi dropped: keep trying rather than leaving the monitor frozen
+        this.socket.onclose = () => {
+            this.setStatus('closed');
+            if (!this.closed) setTimeout(() => this.connect(), RECONNECT_MS);
+        };
+    }
+
+    send(message) {
+        if (this.port) {
+            this.port.postMessage(message);
+        } else if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    receive(message) {
+        if (message && message.type) this.listeners.forEach(fn => fn(message));
+    }
+
+    onMessage(fn) {
+        this.listeners.push(fn);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.statusListeners.forEach(fn => fn(status));
+    }
+
+    onStatus(fn) {
+        this.statusListeners.push(fn);
+    }
+
+    close() {
+        this.closed = true;
+        if (this.port) this.port.close();
+        if (this.socket) this.socket.close();
+    }
+
+    //?relay=ws://192.168.1.20:8080 on the page address picks the WebSocket relay
+    static fromLocation(location = window.location) {
+        const url = new URLSearchParams(location.search).get('relay');
+        return new RemoteLink({ url });
+    }
+}
+
+export { RemoteLink, CHANNEL_NAME };
@@ -0,0 +1,291 @@
+// Cardiac rhythm library for the ECG trace.
+// Each rhythm says what the next beat looks like (P wave or not, PR interval, QRS shape, how long
+// until the following beat) and what the atria are doing in between (flutter waves, fibrillation,
+// P waves marching through in complete block). The cardiac clock still sets the pace, so the
+// pleth, art line and beep follow the same irregular beats as the ECG.
+//
+// hr is the rate of the clock: the ventricular rate for most rhythms, the sinus rate in 2nd degree
+// block (dropped beats make the ventricles slower) and the escape rate in complete block.
+//
+// ST shift (st, mm) and T inversion (tInverted) change every complex. Leads are drawn by scaling
+// the one trace by how much of the heart's electrical axis (~60°) each lead sees, so aVR comes
+// out upside down and aVL small, and ST changes follow the same way (elevation in II is
+// depression in aVR).
+import patientState from './patient-state.js';
+import { cardiacClock } from './clocks.js';
+
+const PR = 0.16;            // s, normal PR interval
+const BLOCK_3_ATRIAL = 80;  // /min, sinus rate marching through complete block
+const FLUTTER_RATE = 300;   // /min, flutter waves
+const MM = 3;               // trace units per mm at the standard 10 mm/mV
+
+// lead -> share of the complex it sees; st is measured in II
+const LEADS = {
+    I: 0.5,
+    II: 1,
+    III: 0.5,
+    aVR: -0.75,
+    aVL: 0.2,
+    aVF: 0.85,
+    V5: 1
+};
+
+//random number in [-amount, amount]
+function jitter(random, amount) {
+    return (random() * 2 - 1) * amount;
+}
+
+// beat(index, random) -> { interval, p, pr, qrs, dropped, early }
+//   interval  time to the next beat, in clock periods
+//   p / pr    P wave in front of this QRS, and how far in front (s)
+//   qrs       'narrow', 'wide', 'pvc' or 'paced'
+//   dropped   a P wave in this cycle that doesn't get through (2nd degree block)
+//   early     this beat comes early, cutting the one before it short (ectopics)
+const RHYTHMS = {
+    sinus: {
+        label: 'Sinus rhythm',
+        rate: 75,
+        beat: (i, random) => ({ interval: 1 + jitter(random, 0.03), p: true, pr: PR, qrs: 'narrow' })
+    },
+    'sinus-brady': {
+        label: 'Sinus bradycardia',
+        rate: 45,
+        beat: (i, random) => ({ interval: 1 + jitter(random, 0.04), p: true, pr: PR, qrs: 'narrow' })
+    },
+    'sinus-tachy': {
+        label: 'Sinus tachycardia',
+        rate: 125,
+        beat: (i, random) => ({ interval: 1 + jitter(random, 0.02), p: true, pr: 0.14, qrs: 'narrow' })
+    },
+    af: {
+        label: 'Atrial fibrillation',
+        rate: 110,
+        atrial: 'fibrillation',
+        // irregularly irregular
+        beat: (i, random) => ({ interval: 0.6 + random() * 0.8, p: false, qrs: 'narrow' })
+    },
+    flutter: {
+        label: 'Atrial flutter',
+        rate: 150,
+        atrial: 'flutter',
+        beat: () => ({ interval: 1, p: false, qrs: 'narrow' })
+    },
+    svt: {
+        label: 'SVT',
+        rate: 180,
+        beat: () => ({ interval: 1, p: false, qrs: 'narrow' })
+    },
+    vt: {
+        label: 'Ventricular tachycardia',
+        rate: 170,
+        beat: () => ({ interval: 1, p: false, qrs: 'wide' })
+    },
+    vf: {
+        label: 'Ventricular fibrillation',
+        rate: null,
+        continuous: 'vf'
+    },
+    asystole: {
+        label: 'Asystole',
+        rate: 0,
+        continuous: 'asystole'
+    },
+    pea: {
+        label: 'PEA',
+        rate: 40,
+        beat: () => ({ interval: 1, p: true, pr: 0.2, qrs: 'wide' })
+    },
+    'block-1': {
+        label: '1st degree block',
+        rate: 70,
+        beat: (i, random) => ({ interval: 1 + jitter(random, 0.03), p: true, pr: 0.32, qrs: 'narrow' })
+    },
+    wenckebach: {
+        label: '2nd degree, Mobitz I',
+        rate: 80,
+        // PR lengthens 4:3 then a P doesn't conduct
+        beat: (i) => ({ interval: i % 3 === 2 ? 2 : 1, p: true, pr: [0.2, 0.28, 0.34][i % 3], qrs: 'narrow', dropped: i % 3 === 2 })
+    },
+    'mobitz-2': {
+        label: '2nd degree, Mobitz II',
+        rate: 80,
+        // 3:2, PR fixed
+        beat: (i) => ({ interval: i % 2 === 1 ? 2 : 1, p: true, pr: 0.2, qrs: 'wide', dropped: i % 2 === 1 })
+    },
+    'block-3': {
+        label: '3rd degree block',
+        rate: 35,
+        atrial: 'dissociated',
+        beat: () => ({ interval: 1, p: false, qrs: 'wide' })
+    },
+    pvc: {
+        label: 'Sinus with PVCs',
+        rate: 80,
+        // an early ectopic now and then, then the compensatory pause
+        beat: (i, random) => (random() < 0.12
+            ? { interval: 1.35, p: false, qrs: 'pvc', early: 0.65 }
+            : { interval: 1 + jitter(random, 0.03), p: true, pr: PR, qrs: 'narrow' })
+    },
+    bigeminy: {
+        label: 'Ventricular bigeminy',
+        rate: 80,
+        beat: (i) => (i % 2 === 0
+            ? { interval: 0.7, p: true, pr: PR, qrs: 'narrow' }
+            : { interval: 1.3, p: false, qrs: 'pvc' })
+    },
+    paced: {
+        label: 'Paced (VVI)',
+        rate: 70,
+        beat: () => ({ interval: 1, p: false, qrs: 'paced' })
+    }
+};
+
+//bump of height a centred on c, w wide (s)
+function wave(t, a, c, w) {
+    return a * Math.exp(-Math.pow((t - c) / w, 2));
+}
+
+//0 before a, 1 after b, smooth in between
+function smoothstep(t, a, b) {
+    const x = Math.min(Math.max((t - a) / (b - a), 0), 1);
+    return x * x * (3 - 2 * x);
+}
+
+//ST segment: lifts (or drops) from the J point and comes back down through the end of the T
+function stSegment(t, st, jPoint, tEnd) {
+    if (st === 0) return 0;
+    return st * MM * smoothstep(t, jPoint, jPoint + 0.02) * (1 - smoothstep(t, tEnd - 0.08, tEnd));
+}
+
+//one QRS-T, t seconds after the start of the complex, in a cycle `period` seconds long
+//st in mm, tSign -1 for an inverted T
+function complex(t, shape, period, st = 0, tSign = 1) {
+    // T wave moves out with slower rates, roughly like the QT does
+    const tWave = Math.min(0.4 * Math.sqrt(Math.min(period, 2)) - 0.08, period * 0.6);
+    switch (shape) {
+        case 'wide':
+            return wave(t, 28, 0.06, 0.03) + wave(t, -16, 0.14, 0.035) + wave(t, -9 * tSign, tWave + 0.06, 0.07)
+                + stSegment(t, st, 0.18, tWave + 0.16);
+        case 'pvc':
+            return wave(t, 45, 0.07, 0.035) + wave(t, -22, 0.15, 0.04) + wave(t, -12 * tSign, tWave + 0.06, 0.08)
+                + stSegment(t, st, 0.2, tWave + 0.16);
+        case 'paced':
+            // pacing spike, then a wide complex
+            return (t < 0.004 ? 35 : 0) + complex(t - 0.02, 'wide', period, st, tSign);
+        default:
+            return wave(t, -4, 0.012, 0.008) + wave(t, 40, 0.03, 0.01) + wave(t, -10, 0.05, 0.01) + wave(t, 8 * tSign, tWave, 0.05)
+                + stSegment(t, st, 0.065, tWave + 0.1);
+    }
+}
+
+//atrial activity that runs on its own clock rather than beat by beat
+function atrialActivity(kind, time) {
+    switch (kind) {
+        case 'fibrillation':
+            return 1.8 * Math.sin(2 * Math.PI * 5.3 * time) + 1.2 * Math.sin(2 * Math.PI * 7.1 * time + 1) + 0.8 * Math.sin(2 * Math.PI * 8.9 * time + 2);
+        case 'flutter': {
+            // sawtooth: slow fall, quick rise
+            const f = (time * FLUTTER_RATE / 60) % 1;
+            return f < 0.8 ? 3 - 7 * f / 0.8 : -4 + 7 * (f - 0.8) / 0.2;
+        }
+        case 'dissociated': {
+            const period = 60 / BLOCK_3_ATRIAL;
+            return wave(time % period, 5, period / 2, 0.04);
+        }
+        default:
+            return 0;
+    }
+}
+
+//rhythms with no beats to speak of
+function continuousActivity(kind, time) {
+    if (kind === 'vf') {
+        const size = 14 + 8 * Math.sin(2 * Math.PI * 0.25 * time);
+        return size * (Math.sin(2 * Math.PI * 4.7 * time) + 0.6 * Math.sin(2 * Math.PI * 6.3 * time + 0.7) + 0.3 * Math.sin(2 * Math.PI * 2.1 * time + 2));
+    }
+    // asystole: not quite a ruler-flat line
+    return 0.8 * Math.sin(2 * Math.PI * 0.2 * time);
+}
+
+class RhythmGenerator {
+    constructor(clock, state, random = Math.random) {
+        this.clock = clock;
+        this.state = state;
+        this.random = random;
+        this.index = 0;
+        this.restart();
+
+        clock.onCycle(() => this.advance());
+        state.onChange((changed) => {
+            if ('rhythm' in changed) this.restart();
+        });
+    }
+
+    rhythm() {
+        return RHYTHMS[this.state.get('rhythm')] || RHYTHMS.sinus;
+    }
+
+    nextBeat() {
+        const rhythm = this.rhythm();
+        return rhythm.beat ? rhythm.beat(this.index++, this.random) : { interval: 1, p: false, qrs: 'narrow' };
+    }
+
+    restart() {
+        this.index = 0;
+        this.current = this.nextBeat();
+        this.next = this.nextBeat();
+        this.applyInterval();
+    }
+
+    //a QRS just happened: move along one beat
+    advance() {
+        this.current = this.next;
+        this.next = this.nextBeat();
+        this.applyInterval();
+    }
+
+    //how long the clock takes over this beat; a longer PR pushes the next QRS back (Wenckebach)
+    applyInterval() {
+        const base = this.clock.rate > 0 ? 60 / this.clock.rate : 1;
+        const prChange = this.current.p && this.next.p ? (this.next.pr - this.current.pr) / base : 0;
+        // an ectopic beat cuts this one short
+        const interval = this.next.early || this.current.interval;
+        this.clock.scale = Math.max(interval + prChange, 0.2);
+    }
+
+    //ECG value now in the given lead; time (s) is only used for the atrial and chaotic parts
+    sample(time, lead = 'II') {
+        const gain = LEADS[lead] ?? 1;
+        return gain * this.sampleLeadII(time);
+    }
+
+    sampleLeadII(time) {
+        const rhythm = this.rhythm();
+        if (rhythm.continuous) return continuousActivity(rhythm.continuous, time);
+
+        const period = this.clock.getPeriod();
+        if (!isFinite(period)) return atrialActivity(rhythm.atrial, time);
+        const since = this.clock.phase * period;
+        const until = period - since;
+        const base = period / this.clock.scale;
+        const st = this.state.get('st') || 0;
+        const tSign = this.state.get('tInverted') ? -1 : 1;
+
+        let value = complex(since, this.current.qrs, period, st, tSign) + atrialActivity(rhythm.atrial, time);
+        if (this.next.p) value += wave(until, 5, this.next.pr, 0.035);
+        // the P that didn't get through comes one sinus period after the last one
+        if (this.current.dropped) value += wave(since, 5, base - this.current.pr, 0.035);
+        return value;
+    }
+}
+
+// Singleton pattern so both monitors draw the same beats
+window.rhythmGenerator = window.rhythmGenerator || new RhythmGenerator(cardiacClock, patientState);
+
+//ST deviation (mm) as it shows in a lead
+function stInLead(st, lead) {
+    return Math.round(st * (LEADS[lead] ?? 1) * 10) / 10;
+}
+
+export { RhythmGenerator, RHYTHMS, LEADS, stInLead };
+export default window.rhythmGenerator;
@@ -0,0 +1,179 @@
+// Scenario runner: plays a scripted case (JSON) against the shared patient state
+//
+// {
+//   "name": "Anaphylaxis",
+//   "patient": { "age": 45, "hr": 80 },          <- baseline, on top of the defaults
+//   "initialState": "baseline",
+//   "states": {
+//     "baseline": {
+//       "values": { "hr": 80 },                   <- applied when the state is entered
+//       "ramp": { "duration": 90, "curve": "linear" }, <- optional: drift to the values instead
+//       "transitions": [
+//         { "after": 60, "goto": "onset" },        <- seconds spent in this state
+//         { "when": { "param": "spo2", "op": "<", "value": 85 }, "for": 30, "goto": "hypoxia" }
+//       ]
+//     }
+//   }
+// }
+//
+// "when" can also be a list of conditions that must all hold. A state with no transitions
+// just stays put until the instructor moves things on.
+import patientState, { DEFAULT_STATE } from './patient-state.js';
+import simulation from './simulation.js';
+import valueRamps, { CURVES } from './value-ramps.js';
+import eventLog from './event-log.js';
+
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+//a plain {} object: typeof says 'object' for null and arrays too
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+//keys of `values` that aren't patient values, so a typo doesn't quietly become a new one
+function unknownKeys(values, where) {
+    return Object.keys(values)
+        .filter(key => !(key in DEFAULT_STATE))
+        .map(key => `${where}.${key} is not a patient value`);
+}
+
+//list every problem with a scenario rather than stopping at the first one
+function validateScenario(scenario) {
+    const errors = [];
+    if (!isObject(scenario)) return ['scenario is not an object'];
+    if (typeof scenario.name !== 'string') errors.push('name must be a string');
+    if (scenario.patient !== undefined && !isObject(scenario.patient)) errors.push('patient must be an object');
+    else if (scenario.patient !== undefined) errors.push(...unknownKeys(scenario.patient, 'patient'));
+    if (!isObject(scenario.states)) return errors.concat('states must be an object');
+    if (!scenario.states[scenario.initialState]) errors.push(`initialState "${scenario.initialState}" is not one of the states`);
+
+    Object.entries(scenario.states).forEach(([name, state]) => {
+        if (!isObject(state)) {
+            errors.push(`states.${name} must be an object`);
+            return;
+        }
+        if (state.values !== undefined && !isObject(state.values)) errors.push(`states.${name}.values must be an object`);
+        else if (state.values !== undefined) errors.push(...unknownKeys(state.values, `states.${name}.values`));
+        if (state.transitions !== undefined && !Array.isArray(state.transitions)) errors.push(`states.${name}.transitions must be a list`);
+        if (state.ramp !== undefined && !isObject(state.ramp)) {
+            errors.push(`states.${name}.ramp must be an object`);
+        } else if (state.ramp !== undefined) {
+            if (!(state.ramp.duration >= 0)) errors.push(`states.${name}.ramp.duration must be a number of seconds`);
+            if (state.ramp.curve !== undefined && !CURVES[state.ramp.curve]) errors.push(`states.${name}.ramp.curve "${state.ramp.curve}" is not one of ${Object.keys(CURVES).join(' ')}`);
+        }
+        (Array.isArray(state.transitions) ? state.transitions : []).forEach((transition, i) => {
+            const where = `states.${name}.transitions[${i}]`;
+            if (!isObject(transition)) {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (!scenario.states[transition.goto]) errors.push(`${where}.goto "${transition.goto}" is not one of the states`);
+            if (transition.after === undefined && transition.when === undefined) errors.push(`${where} needs "after" or "when"`);
+            if (transition.after !== undefined && !(transition.after >= 0)) errors.push(`${where}.after must be a number of seconds`);
+            if (transition.for !== undefined && !(transition.for >= 0)) errors.push(`${where}.for must be a number of seconds`);
+            [].concat(transition.when || []).forEach((condition, j) => {
+                if (!isObject(condition)) {
+                    errors.push(`${where}.when[${j}] must be an object`);
+                    return;
+                }
+                if (typeof condition.param !== 'string') errors.push(`${where}.when[${j}].param must be a string`);
+                else if (!(condition.param in DEFAULT_STATE)) errors.push(`${where}.when[${j}].param "${condition.param}" is not a patient value`);
+                if (typeof condition.value !== 'number') errors.push(`${where}.when[${j}].value must be a number`);
+                if (!OPERATORS[condition.op]) errors.push(`${where}.when[${j}].op "${condition.op}" is not one of ${Object.keys(OPERATORS).join(' ')}`);
+            });
+        });
+    });
+    return errors;
+}
+
+class ScenarioRunner {
+    constructor(state, sim) {
+        this.name = 'scenario';
+        this.state = state;
+        this.simulation = sim;
+        this.scenario = null;
+        this.current = null;
+        this.running = false;
+        this.listeners = [];
+    }
+
+    load(scenario) {
+        const errors = validateScenario(scenario);
+        if (errors.length) {
+            throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+        }
+        this.scenario = scenario;
+        this.running = true;
+        eventLog.startSession({ scenario: scenario.name, patient: scenario.patient || {} });
+        this.state.reset(scenario.patient || {}, 'scenario');
+        this.simulation.reset();
+        this.goto(scenario.initialState);
+    }
+
+    stop() {
+        this.running = false;
+        eventLog.log({ type: 'scenario', source: 'scenario', message: `stopped in ${this.current}` });
+        this.notify({ type: 'stop' });
+    }
+
+    //enter a state, either from a transition or because the instructor jumped there
+    goto(name) {
+        const next = this.scenario.states[name];
+        const from = this.current;
+        this.current = name;
+        this.timeInState = 0;
+        this.conditionTimers = (next.transitions || []).map(() => 0);
+        eventLog.log({ type: 'transition', source: 'scenario', from, value: name });
+        if (next.values) {
+            valueRamps.start(next.values, { ...next.ramp, label: `${this.scenario.name}: ${name}` }, 'scenario');
+        }
+        this.notify({ type: 'transition', from, to: name });
+    }
+
+    conditionHolds(when, values) {
+        return [].concat(when).every(c => OPERATORS[c.op](values[c.param], c.value));
+    }
+
+    step(dt, values) {
+        if (!this.running || !this.scenario) return;
+        this.timeInState += dt;
+
+        const transitions = this.scenario.states[this.current].transitions || [];
+        for (let i = 0; i < transitions.length; i++) {
+            const transition = transitions[i];
+            let fire;
+            if (transition.when !== undefined) {
+                // condition has to hold continuously for "for" seconds (and "after" if given)
+                this.conditionTimers[i] = this.conditionHolds(transition.when, values) ? this.conditionTimers[i] + dt : 0;
+                fire = this.conditionTimers[i] >= (transition.for || 0) && this.timeInState >= (transition.after || 0);
+            } else {
+                fire = this.timeInState >= transition.after;
+            }
+            if (fire) {
+                this.goto(transition.goto);
+                return;
+            }
+        }
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify(event) {
+        this.listeners.forEach(fn => fn({ ...event, scenario: this.scenario && this.scenario.name }));
+    }
+}
+
+// Singleton pattern, stepped along with the physiology models
+window.scenarioRunner = window.scenarioRunner || simulation.register(new ScenarioRunner(patientState, simulation));
+
+export { ScenarioRunner, validateScenario };
+export default window.scenarioRunner;
@@ -0,0 +1,68 @@
+// Steps the slow physiology models (gas uptake etc.) on a fixed timer, independent of the
+// animation frame rate, and writes whatever they return back into the patient state.
+// A model is any object with step(dt, state) -> changes | undefined, dt in seconds.
+import patientState from './patient-state.js';
+import { AgentUptake } from './agent-uptake.js';
+import { OxygenDelivery } from './gas-mixer.js';
+import { Capnography } from './capnography.js';
+import { BreathMeasurement } from './ventilator.js';
+
+class Simulation {
+    constructor(state, interval = 250) {
+        this.state = state;
+        this.interval = interval;
+        this.models = [];
+        this.timer = null;
+        this.elapsed = 0;
+    }
+
+    register(model) {
+        this.models.push(model);
+        return model;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.lastTick = performance.now();
+        this.timer = setInterval(() => this.tick(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    tick() {
+        const now = performance.now();
+        // cap dt so a throttled background tab doesn't take one giant step
+        const dt = Math.min((now - this.lastTick) / 1000, 2);
+        this.lastTick = now;
+        this.step(dt);
+    }
+
+    step(dt) {
+        this.elapsed += dt;
+        this.models.forEach(model => {
+            const changes = model.step(dt, this.state.getState());
+            if (changes) this.state.update(changes, model.name || 'model');
+        });
+    }
+
+    //put every model back to its starting point (new patient / scenario)
+    reset() {
+        this.elapsed = 0;
+        this.models.forEach(model => model.reset && model.reset());
+    }
+}
+
+// Singleton pattern so both monitors step the same models once
+if (!window.simulation) {
+    window.simulation = new Simulation(patientState);
+    window.simulation.register(new BreathMeasurement(patientState));
+    window.simulation.register(new OxygenDelivery());
+    window.simulation.register(new AgentUptake());
+    window.simulation.register(new Capnography());
+}
+
+export { Simulation };
+export default window.simulation;
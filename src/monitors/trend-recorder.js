@@ -0,0 +1,151 @@
+// Trend memory for both monitors: every numeric patient value written down once a second, kept for
+// 8 hours, and started over when the patient is reset (a scenario loading). Runs on its own timer
+// rather than the simulation's, so learner monitors (which don't run the simulation) still build
+// up trends from what the instructor console sends. The graphs pick their lines from these.
+// Values are what the monitor shows: a SpO2 with no usable pleth is a gap (null), not a number.
+import patientState from './patient-state.js';
+import { spo2Reading } from './pleth.js';
+
+const MAX_AGE = 8 * 60 * 60;    // s
+const WINDOWS = [15, 30, 60, 120, 240, 480]; // minutes
+
+// graphs per monitor; lines on the same graph share its scale
+const TRENDS = {
+    vitals: [
+        { label: 'HR', min: 0, max: 200, lines: [{ key: 'hr', label: 'HR', color: '#2fff00' }] },
+        { label: 'SpO2', min: 50, max: 100, lines: [{ key: 'spo2', label: 'SpO2', color: '#02bdfc' }] },
+        {
+            label: 'BP', min: 0, max: 250, lines: [
+                { key: 'sys', label: 'ART sys', color: '#db0202' },
+                { key: 'map', label: 'ART map', color: '#ff6b6b' },
+                { key: 'dia', label: 'ART dia', color: '#db0202' },
+                { key: 'nibpSys', label: 'NIBP sys', color: '#ffffff' },
+                { key: 'nibpDia', label: 'NIBP dia', color: '#ffffff' }
+            ]
+        },
+        { label: 'etCO2', min: 0, max: 80, lines: [{ key: 'etco2', label: 'etCO2', color: '#ffffff' }] },
+        { label: 'ST', min: -5, max: 5, lines: [{ key: 'st', label: 'ST', color: '#2fff00' }] }
+    ],
+    anaesthesia: [
+        {
+            label: 'Paw', min: 0, max: 50, lines: [
+                { key: 'ppeak', label: 'Ppeak', color: '#fafd24' },
+                { key: 'peep', label: 'PEEP', color: '#ff9800' }
+            ]
+        },
+        { label: 'VT', min: 0, max: 1000, lines: [{ key: 'vte', label: 'VTe', color: '#2fff00' }] },
+        {
+            label: 'Rate / MV', min: 0, max: 40, lines: [
+                { key: 'rr', label: 'RR', color: '#02bdfc' },
+                { key: 'mv', label: 'MV', color: '#ffffff' }
+            ]
+        },
+        {
+            label: 'O2', min: 0, max: 100, lines: [
+                { key: 'fio2', label: 'FiO2', color: '#ffffff' },
+                { key: 'eto2', label: 'EtO2', color: '#aaaaaa' }
+            ]
+        },
+        {
+            label: 'Agent', min: 0, max: 8, lines: [
+                { key: 'sevInsp', label: 'SEV insp', color: '#fafd24' },
+                { key: 'sevExp', label: 'SEV exp', color: '#ff9800' },
+                { key: 'mac', label: 'MAC', color: '#ffffff' }
+            ]
+        }
+    ]
+};
+
+//every line on every graph, each key once
+const TREND_LINES = [...new Map(Object.values(TRENDS).flat()
+    .flatMap(graph => graph.lines)
+    .map(line => [line.key, line])).values()];
+
+// values recorded as the monitor reads them rather than straight from the state
+const READINGS = {
+    spo2: spo2Reading
+};
+
+class TrendRecorder {
+    constructor(state, interval = 1000) {
+        this.state = state;
+        this.interval = interval;
+        this.timer = null;
+        this.listeners = [];
+        this.reset();
+        // a new patient starts with empty trends
+        state.onReset(() => {
+            this.reset();
+            this.notify();
+        });
+    }
+
+    //graphed keys always have a series, even before they first have a value; anything else is added when it does
+    reset() {
+        this.times = [];
+        this.series = {};
+        TREND_LINES.forEach(line => { this.series[line.key] = []; });
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.record(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    record(now = Date.now()) {
+        const state = this.state.getState();
+        Object.entries(state).forEach(([key, value]) => {
+            // first number for this key: a gap for everything before it
+            if (typeof value === 'number' && !this.series[key]) this.series[key] = this.times.map(() => null);
+        });
+        this.times.push(now);
+        Object.keys(this.series).forEach(key => {
+            const value = READINGS[key] ? READINGS[key](state) : state[key];
+            this.series[key].push(typeof value === 'number' ? value : null);
+        });
+
+        // drop anything past 8 h, a minute's worth at a time rather than every second
+        let old = 0;
+        while (this.times[old] < now - MAX_AGE * 1000) old++;
+        if (old > 60) {
+            this.times.splice(0, old);
+            Object.values(this.series).forEach(values => values.splice(0, old));
+        }
+        this.notify();
+    }
+
+    //samples from the last `seconds`: { times, series: { key: values } }
+    range(seconds, now = Date.now()) {
+        const from = now - seconds * 1000;
+        let first = 0;
+        let last = this.times.length;
+        // times only go up, so binary search for the start
+        while (first < last) {
+            const mid = (first + last) >> 1;
+            if (this.times[mid] < from) first = mid + 1;
+            else last = mid;
+        }
+        const series = {};
+        Object.entries(this.series).forEach(([key, values]) => { series[key] = values.slice(first); });
+        return { times: this.times.slice(first), series };
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn(this));
+    }
+}
+
+// Singleton pattern so both monitors share one trend memory
+window.trendRecorder = window.trendRecorder || new TrendRecorder(patientState);
+
+export { TrendRecorder, TRENDS, TREND_LINES, WINDOWS };
+export default window.trendRecorder;
@@ -0,0 +1,250 @@
+// Trend screen shared by both monitors: graphs of the last 15 min to 8 h, or the same as a table,
+// from the trend recorder. Opens over the monitor like the value modal and keeps itself up to
+// date while it's open.
+import { TRENDS, TREND_LINES, WINDOWS } from './trend-recorder.js';
+
+// goes inside each monitor's <style>
+const TREND_STYLE = `
+    .display {
+        position: relative;
+    }
+    .trend-view {
+        position: absolute;
+        top: 5%;
+        left: 5%;
+        width: 90%;
+        height: 90%;
+        z-index: 30;
+        display: flex;
+        flex-direction: column;
+        background: #111;
+        border: 1px solid #666;
+        color: #fff;
+        font-size: 0.85em;
+    }
+    .trend-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px;
+        background: #222;
+    }
+    .trend-header .spacer {
+        flex: 1;
+    }
+    .trend-header button.active {
+        background: #fafd24;
+    }
+    .trend-body {
+        flex: 1 1 0;
+        min-height: 0;
+        overflow: auto;
+        padding: 6px;
+    }
+    .trend-graph {
+        display: grid;
+        grid-template-columns: 110px 1fr;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 4px;
+    }
+    .trend-graph canvas {
+        width: 100%;
+        height: 70px;
+        background: #000;
+    }
+    .trend-legend span {
+        display: block;
+        white-space: nowrap;
+    }
+    .trend-table {
+        border-collapse: collapse;
+        width: 100%;
+    }
+    .trend-table th, .trend-table td {
+        padding: 2px 6px;
+        text-align: right;
+        border-bottom: 1px solid #333;
+    }
+`;
+
+// table rows per window: one row every this many minutes
+const TABLE_STEP = { 15: 1, 30: 2, 60: 5, 120: 10, 240: 15, 480: 30 };
+
+//min / max / last of each pixel column, so an 8 h trend still shows a short dip
+function trendColumns(times, values, from, to, width) {
+    const columns = new Array(width).fill(null);
+    times.forEach((time, i) => {
+        const value = values[i];
+        if (value === null) return;
+        const x = Math.floor((time - from) / (to - from) * width);
+        if (x < 0 || x >= width) return;
+        const column = columns[x];
+        if (!column) {
+            columns[x] = { min: value, max: value, last: value };
+        } else {
+            column.min = Math.min(column.min, value);
+            column.max = Math.max(column.max, value);
+            column.last = value;
+        }
+    });
+    return columns;
+}
+
+//one row every `step` seconds back from `now`, newest first, each showing the last sample at or before it
+function trendRows(times, series, now, seconds, step) {
+    const rows = [];
+    let i = times.length - 1;
+    for (let at = now; at >= now - seconds * 1000; at -= step * 1000) {
+        while (i >= 0 && times[i] > at) i--;
+        if (i < 0) break;
+        const values = {};
+        Object.keys(series).forEach(key => { values[key] = series[key][i]; });
+        rows.push({ time: times[i], values });
+    }
+    return rows;
+}
+
+function formatTrendValue(value) {
+    if (value === null || value === undefined) return '---';
+    return Number.isInteger(value) ? value : value.toFixed(1);
+}
+
+class TrendView {
+    constructor(container, recorder, monitor) {
+        this.container = container;
+        this.recorder = recorder;
+        this.graphs = TRENDS[monitor];
+        this.minutes = WINDOWS[0];
+        this.mode = 'graph';
+        this.open = false;
+
+        this.container.innerHTML = `
+            <div class="trend-header">
+                <strong>Trends</strong>
+                <select class="trend-window">
+                    ${WINDOWS.map(minutes => `<option value="${minutes}">${minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}</option>`).join('')}
+                </select>
+                <button class="trend-mode" data-mode="graph">graph</button>
+                <button class="trend-mode" data-mode="table">table</button>
+                <span class="spacer"></span>
+                <span class="close-button trend-close">&times;</span>
+            </div>
+            <div class="trend-body"></div>
+        `;
+        this.body = this.container.querySelector('.trend-body');
+        this.container.querySelector('.trend-window').onchange = (e) => {
+            this.minutes = Number(e.target.value);
+            this.render();
+        };
+        this.container.querySelectorAll('.trend-mode').forEach(button => {
+            button.onclick = () => {
+                this.mode = button.dataset.mode;
+                this.render();
+            };
+        });
+        this.container.querySelector('.trend-close').onclick = () => this.toggle(false);
+
+        recorder.onChange(() => {
+            if (this.open) this.render();
+        });
+        this.toggle(false);
+    }
+
+    toggle(open = !this.open) {
+        this.open = open;
+        this.container.style.display = open ? '' : 'none';
+        if (open) this.render();
+    }
+
+    render() {
+        this.container.querySelectorAll('.trend-mode').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === this.mode);
+        });
+        const now = Date.now();
+        const data = this.recorder.range(this.minutes * 60, now);
+        if (this.mode === 'table') this.renderTable(data, now);
+        else this.renderGraphs(data, now);
+    }
+
+    renderGraphs({ times, series }, now) {
+        // build the rows once, then just redraw the canvases every second
+        if (this.body.dataset.mode !== 'graph') {
+            this.body.dataset.mode = 'graph';
+            this.body.innerHTML = this.graphs.map((graph, i) => `
+                <div class="trend-graph">
+                    <div class="trend-legend" data-graph="${i}"></div>
+                    <canvas data-graph="${i}"></canvas>
+                </div>
+            `).join('');
+        }
+
+        const from = now - this.minutes * 60 * 1000;
+        this.graphs.forEach((graph, i) => {
+            const legend = this.body.querySelector(`.trend-legend[data-graph="${i}"]`);
+            legend.innerHTML = graph.lines.map(line => {
+                const values = series[line.key];
+                return `<span style="color:${line.color}">${line.label} ${formatTrendValue(values[values.length - 1])}</span>`;
+            }).join('');
+
+            const canvas = this.body.querySelector(`canvas[data-graph="${i}"]`);
+            const rect = canvas.getBoundingClientRect();
+            const width = Math.max(Math.floor(rect.width), 100);
+            const height = Math.max(Math.floor(rect.height), 40);
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
+            ctx.fillStyle = '#666';
+            ctx.font = '10px Arial';
+            ctx.fillText(graph.max, 2, 10);
+            ctx.fillText(graph.min, 2, height - 2);
+
+            const y = value => height - (value - graph.min) / (graph.max - graph.min) * height;
+            graph.lines.forEach(line => {
+                const columns = trendColumns(times, series[line.key], from, now, width);
+                ctx.strokeStyle = line.color;
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                let drawing = false;
+                columns.forEach((column, x) => {
+                    // gaps (no reading) break the line
+                    if (!column) {
+                        drawing = false;
+                        return;
+                    }
+                    if (drawing) ctx.lineTo(x, y(column.max));
+                    else ctx.moveTo(x, y(column.max));
+                    ctx.lineTo(x, y(column.min));
+                    drawing = true;
+                });
+                ctx.stroke();
+            });
+        });
+    }
+
+    renderTable({ times, series }, now) {
+        this.body.dataset.mode = 'table';
+        // this monitor's graphed values first, then everything else the recorder has
+        const graphed = this.graphs.flatMap(graph => graph.lines);
+        const lines = [...graphed, ...Object.keys(series)
+            .filter(key => !graphed.some(line => line.key === key))
+            .map(key => TREND_LINES.find(line => line.key === key) || { key, label: key, color: '#aaa' })];
+        const rows = trendRows(times, series, now, this.minutes * 60, TABLE_STEP[this.minutes] * 60);
+        this.body.innerHTML = `
+            <table class="trend-table">
+                <tr><th>Time</th>${lines.map(line => `<th style="color:${line.color}">${line.label}</th>`).join('')}</tr>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${new Date(row.time).toTimeString().slice(0, 8)}</td>
+                        ${lines.map(line => `<td>${formatTrendValue(row.values[line.key])}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </table>
+            ${rows.length ? '' : 'Nothing recorded yet'}
+        `;
+    }
+}
+
+export { TrendView, TREND_STYLE, trendColumns, trendRows };
@@ -0,0 +1,125 @@
+// Gradual changes to patient values: drift from where a value is now to a target over a
+// duration, following a curve, instead of jumping there. Stepped by the simulation.
+import patientState from './patient-state.js';
+import simulation from './simulation.js';
+import eventLog from './event-log.js';
+
+const CURVES = {
+    linear: x => x,
+    // most of the change early on, easing into the target (how most physiology settles)
+    exponential: x => (1 - Math.exp(-4 * x)) / (1 - Math.exp(-4)),
+    // nothing happens until the time is up, then it jumps
+    step: x => (x < 1 ? 0 : 1)
+};
+
+//keep whole numbers whole, everything else to one decimal place (ST, agent %)
+function roundLike(value, target, from) {
+    return Number.isInteger(target) && Number.isInteger(from) ? Math.round(value) : Math.round(value * 10) / 10;
+}
+
+class RampManager {
+    constructor(state) {
+        this.name = 'ramps';
+        this.state = state;
+        this.ramps = [];
+        this.nextId = 1;
+        this.listeners = [];
+    }
+
+    //changes is { key: target }; non-numeric values (rhythm, capnogram shape) are applied straight away
+    start(changes, { duration = 0, curve = 'linear', label } = {}, source = 'local') {
+        const numeric = {};
+        const immediate = {};
+        Object.entries(changes).forEach(([key, value]) => {
+            if (typeof value === 'number' && typeof this.state.get(key) === 'number') numeric[key] = value;
+            else immediate[key] = value;
+        });
+
+        this.cancelKeys(Object.keys(changes));
+        if (duration <= 0 || !CURVES[curve]) {
+            this.state.update(changes, source);
+            return null;
+        }
+        if (Object.keys(immediate).length) this.state.update(immediate, source);
+
+        const from = {};
+        Object.keys(numeric).forEach(key => { from[key] = this.state.get(key); });
+        const ramp = {
+            id: this.nextId++,
+            label: label || Object.keys(numeric).join('/'),
+            from,
+            to: numeric,
+            duration,
+            curve,
+            elapsed: 0,
+            source
+        };
+        this.ramps.push(ramp);
+        Object.keys(numeric).forEach(key => {
+            eventLog.log({
+                type: 'ramp', source, key, from: from[key], value: numeric[key],
+                ramp: ramp.id, duration, curve, message: `${ramp.label} over ${duration}s ${curve}`
+            });
+        });
+        this.notify();
+        return ramp.id;
+    }
+
+    //stop a ramp where it is (the value stays at whatever it had reached)
+    cancel(id) {
+        const ramp = this.ramps.find(r => r.id === id);
+        if (ramp) eventLog.log({ type: 'ramp', ramp: id, message: `${ramp.label} cancelled at ${Math.round(this.progress(ramp) * 100)}%` });
+        this.ramps = this.ramps.filter(r => r.id !== id);
+        this.notify();
+    }
+
+    cancelKeys(keys) {
+        const before = this.ramps.length;
+        this.ramps = this.ramps.filter(ramp => !Object.keys(ramp.to).some(key => keys.includes(key)));
+        if (this.ramps.length !== before) this.notify();
+    }
+
+    reset() {
+        this.ramps = [];
+        this.notify();
+    }
+
+    //ramp currently moving a key, if any
+    find(key) {
+        return this.ramps.find(ramp => key in ramp.to);
+    }
+
+    progress(ramp) {
+        return Math.min(ramp.elapsed / ramp.duration, 1);
+    }
+
+    step(dt) {
+        if (this.ramps.length === 0) return;
+        const changes = {};
+        this.ramps.forEach(ramp => {
+            ramp.elapsed += dt;
+            const f = CURVES[ramp.curve](this.progress(ramp));
+            Object.entries(ramp.to).forEach(([key, target]) => {
+                const from = ramp.from[key];
+                changes[key] = roundLike(from + (target - from) * f, target, from);
+            });
+        });
+        this.ramps = this.ramps.filter(ramp => ramp.elapsed < ramp.duration);
+        this.notify();
+        return changes;
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn(this.ramps));
+    }
+}
+
+// Singleton pattern, stepped along with the physiology models
+window.valueRamps = window.valueRamps || simulation.register(new RampManager(patientState));
+
+export { RampManager, CURVES, roundLike };
+export default window.valueRamps;
@@ -0,0 +1,137 @@
+// Ventilator model: single-compartment lung (compliance + resistance) driven in
+// volume control (VCV) or pressure control (PCV), with Pmax as a pressure limit in both.
+// Units: volume mL, pressure cmH2O, flow L/min, compliance mL/cmH2O, resistance cmH2O/L/s
+
+const PAUSE_FRACTION = 0.1; // end-inspiratory pause in VCV, as a fraction of Ti
+
+class Ventilator {
+    constructor(state) {
+        this.state = state;
+    }
+
+    //work out the shape of one breath from the current settings and lung mechanics
+    getBreath() {
+        const s = this.state.getState();
+        const period = s.rr > 0 ? 60 / s.rr : Infinity;
+        const ti = period / (1 + s.ie);
+        const c = s.compliance / 1000;           // L/cmH2O
+        const r = s.resistance;                  // cmH2O/(L/s)
+        const tau = Math.max(r * c, 0.01);       // s
+        const breath = { mode: s.ventMode, period, ti, c, r, tau, peep: s.peep, pmax: s.pmax };
+
+        if (s.ventMode === 'PCV') {
+            // set pressure, capped by the limit
+            breath.pinsp = Math.max(Math.min(s.pinsp, s.pmax), s.peep);
+        } else {
+            const tFlow = ti * (1 - PAUSE_FRACTION);
+            breath.vt = s.vt / 1000;
+            breath.flow = breath.vt / tFlow;     // L/s, square wave
+            breath.tFlow = tFlow;
+            // time at which the airway pressure would hit Pmax (Infinity if it never does)
+            const peakIfUnlimited = s.peep + breath.vt / c + r * breath.flow;
+            breath.limited = peakIfUnlimited > s.pmax;
+            breath.tLimit = breath.limited
+                ? Math.max((s.pmax - s.peep - r * breath.flow) * c / breath.flow, 0)
+                : Infinity;
+        }
+        breath.vEnd = this.inspiration(breath, ti).volume;
+        return breath;
+    }
+
+    //volume (L) and flow (L/s) at t seconds into inspiration
+    inspiration(b, t) {
+        if (b.mode === 'PCV') {
+            const vss = b.c * (b.pinsp - b.peep);
+            return {
+                volume: vss * (1 - Math.exp(-t / b.tau)),
+                flow: vss / b.tau * Math.exp(-t / b.tau)
+            };
+        }
+
+        if (t < Math.min(b.tLimit, b.tFlow)) {
+            return { volume: b.flow * t, flow: b.flow };
+        }
+        if (!b.limited) {
+            return { volume: b.vt, flow: 0 }; // inspiratory pause
+        }
+
+        // pressure limited: flow decelerates to hold Paw at Pmax until the set VT is in (or Ti runs out)
+        const v0 = b.flow * b.tLimit;
+        const vss = b.c * (b.pmax - b.peep);
+        const tReach = vss > b.vt ? b.tLimit - b.tau * Math.log((vss - b.vt) / (vss - v0)) : Infinity;
+        if (t >= tReach || t >= b.tFlow) {
+            const tStop = Math.min(tReach, b.tFlow);
+            return { volume: vss + (v0 - vss) * Math.exp(-(tStop - b.tLimit) / b.tau), flow: 0 };
+        }
+        const decay = Math.exp(-(t - b.tLimit) / b.tau);
+        return { volume: vss + (v0 - vss) * decay, flow: (vss - v0) / b.tau * decay };
+    }
+
+    //paw, flow and volume at a given phase (0 -> 1) through the breath
+    sample(phase, breath = this.getBreath()) {
+        if (!isFinite(breath.period)) {
+            return { paw: breath.peep, flow: 0, volume: 0 };
+        }
+        const t = phase * breath.period;
+
+        if (t < breath.ti) {
+            const { volume, flow } = this.inspiration(breath, t);
+            return {
+                paw: breath.peep + volume / breath.c + breath.r * flow,
+                flow: flow * 60,
+                volume: volume * 1000
+            };
+        }
+
+        // passive expiration back down to PEEP
+        const decay = Math.exp(-(t - breath.ti) / breath.tau);
+        return {
+            paw: breath.peep,
+            flow: -breath.vEnd / breath.tau * decay * 60,
+            volume: breath.vEnd * decay * 1000
+        };
+    }
+
+    //what the monitor would measure over one breath
+    measure(breath = this.getBreath()) {
+        if (!isFinite(breath.period)) {
+            return { vte: 0, ppeak: breath.peep, pplat: breath.peep, mv: 0 };
+        }
+        let ppeak = breath.peep;
+        for (let i = 0; i <= 50; i++) {
+            ppeak = Math.max(ppeak, this.sample((i / 50) * (breath.ti / breath.period), breath).paw);
+        }
+        const vte = Math.round(breath.vEnd * 1000);
+        return {
+            vte,
+            ppeak: Math.round(ppeak),
+            pplat: Math.round(breath.peep + breath.vEnd / breath.c),
+            mv: Math.round(vte * this.state.get('rr') / 100) / 10
+        };
+    }
+}
+
+//publishes what the ventilator measured once a breath, timed off the simulation rather than the
+//waveforms so pages without an anaesthesia monitor (instructor console) still get vte/ppeak/mv
+class BreathMeasurement {
+    constructor(state) {
+        this.name = 'ventilator';
+        this.ventilator = new Ventilator(state);
+        this.reset();
+    }
+
+    reset() {
+        this.sinceBreath = Infinity;
+    }
+
+    step(dt, state) {
+        this.sinceBreath += dt;
+        // apnoea: keep checking every few seconds so ventilation restarting is picked up
+        const period = state.rr > 0 ? 60 / state.rr : 5;
+        if (this.sinceBreath < period) return;
+        this.sinceBreath = 0;
+        return this.ventilator.measure();
+    }
+}
+
+export { Ventilator, BreathMeasurement };
@@ -0,0 +1,176 @@
+// Relay for running the instructor console and the learner monitors on different machines.
+// Serves the src/ folder over http and passes every WebSocket message on to every other
+// connected page. Node built-ins only, nothing to install:
+//
+//   node src/relay/relay.mjs [port]
+//
+// then on the LAN open
+//   http://<this machine>:8080/monitors/instructor.html?relay=ws://<this machine>:8080
+//   http://<this machine>:8080/monitors/learner.html?relay=ws://<this machine>:8080
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.argv[2]) || 8080;
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// state messages are a few kB; anything near this is a broken or hostile client
+const MAX_MESSAGE = 1024 * 1024;
+const CLOSE_TOO_BIG = 1009;
+
+const TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.json': 'application/json',
+    '.css': 'text/css',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+const clients = new Set();
+
+//server -> browser frames are never masked; only text, close and pong are ever sent
+function encodeFrame(payload, opcode = 0x1) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+//pull whole frames off the front of the buffer; returns what's left over for next time.
+//Throws a RangeError for a frame over MAX_MESSAGE rather than waiting (and buffering) for all of it
+function decodeFrames(buffer, onFrame) {
+    while (buffer.length >= 2) {
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE) throw new RangeError(`frame of ${length} bytes`);
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        onFrame(fin, opcode, payload);
+        buffer = buffer.subarray(offset + length);
+    }
+    return buffer;
+}
+
+function broadcast(from, text) {
+    const frame = encodeFrame(Buffer.from(text));
+    clients.forEach(client => {
+        if (client !== from && !client.destroyed) client.write(frame);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // bad percent-encoding; answer it rather than let it take the relay down
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const file = path.join(ROOT, urlPath.endsWith('/') ? `${urlPath}index.html` : urlPath);
+    // nothing outside src/ (and not a sibling like src_x/ either)
+    if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    clients.add(socket);
+    console.log(`client connected (${clients.size})`);
+
+    let pending = Buffer.alloc(0);
+    // a text message sent in pieces: its frames so far, put back together when the last one (fin) arrives
+    let fragments = null;
+    const onText = (fin, payload) => {
+        const parts = (fragments || []).concat(payload);
+        if (parts.reduce((total, part) => total + part.length, 0) > MAX_MESSAGE) throw new RangeError('message too big');
+        fragments = fin ? null : parts;
+        if (fin) broadcast(socket, Buffer.concat(parts).toString());
+    };
+    socket.on('data', (chunk) => {
+        try {
+            pending = decodeFrames(Buffer.concat([pending, chunk]), (fin, opcode, payload) => {
+                if (opcode === 0x1) onText(fin, payload);
+                else if (opcode === 0x0 && fragments) onText(fin, payload);
+                else if (opcode === 0x9) socket.write(encodeFrame(payload, 0xa));
+                else if (opcode === 0x8) socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+            });
+        } catch (error) {
+            if (!(error instanceof RangeError)) throw error;
+            const status = Buffer.alloc(2);
+            status.writeUInt16BE(CLOSE_TOO_BIG);
+            socket.end(encodeFrame(status, 0x8));
+            pending = Buffer.alloc(0);
+            socket.removeAllListeners('data');
+        }
+    });
+    const drop = () => {
+        if (clients.delete(socket)) console.log(`client disconnected (${clients.size})`);
+    };
+    socket.on('close', drop);
+    socket.on('error', drop);
+});
+
+server.listen(PORT, () => {
+    console.log(`relay on http://localhost:${PORT}/ (serving ${ROOT})`);
+});
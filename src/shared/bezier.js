@@ -0,0 +1,147 @@
+// Curve maths shared by the waveform editor and the monitors, so a waveform plays on the monitor
+// exactly as it was drawn. A segment between two smooth points is the cubic Bezier the editor
+// draws with bezierCurveTo (start, start.cp2, end.cp1, end); anything else is a straight line.
+// Waveforms are functions of x (time), so sampling solves the curve for x rather than using x as t.
+
+const EPSILON = 1e-6;
+
+//one coordinate of a cubic Bezier at t (0 -> 1)
+function cubicBezier(p0, p1, p2, p3, t) {
+    const u = 1 - t;
+    return u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3;
+}
+
+//its slope with respect to t
+function cubicBezierSlope(p0, p1, p2, p3, t) {
+    const u = 1 - t;
+    return 3 * u * u * (p1 - p0) + 6 * u * t * (p2 - p1) + 3 * t * t * (p3 - p2);
+}
+
+//t at which the curve's x reaches x; Newton's method, falling back to bisection when it stalls
+function solveBezierT(x0, x1, x2, x3, x) {
+    if (x3 === x0) return 0;
+    let t = Math.min(Math.max((x - x0) / (x3 - x0), 0), 1);
+    for (let i = 0; i < 8; i++) {
+        const error = cubicBezier(x0, x1, x2, x3, t) - x;
+        if (Math.abs(error) < EPSILON) return t;
+        const slope = cubicBezierSlope(x0, x1, x2, x3, t);
+        if (Math.abs(slope) < EPSILON) break;
+        t -= error / slope;
+        if (t < 0 || t > 1) break;
+    }
+
+    // x runs the same way as the segment, so halve the interval until it's pinned down
+    let low = 0;
+    let high = 1;
+    const rising = x3 > x0;
+    t = 0.5;
+    for (let i = 0; i < 40; i++) {
+        const value = cubicBezier(x0, x1, x2, x3, t);
+        if (Math.abs(value - x) < EPSILON) break;
+        if ((value < x) === rising) low = t;
+        else high = t;
+        t = (low + high) / 2;
+    }
+    return t;
+}
+
+//a handle with its x kept between the segment's ends. Past them the curve doubles back on itself in x,
+//so it no longer has one y per x and solving for x stops matching what bezierCurveTo draws
+function clampHandle(handle, start, end) {
+    const x = Math.min(Math.max(handle.x, Math.min(start.x, end.x)), Math.max(start.x, end.x));
+    return x === handle.x ? handle : { x, y: handle.y };
+}
+
+//a handle shortened along its own line from `anchor` (its point) until it reaches no further in x than `far`
+//(the point at the segment's other end). A smooth point's two handles stay in line, so its tangent holds;
+//one that points away from `far` altogether folds back onto its point
+function fitHandle(handle, anchor, far) {
+    if (!handle) return handle;
+    const dx = handle.x - anchor.x;
+    const room = far.x - anchor.x;
+    if (dx === 0 || (Math.sign(dx) === Math.sign(room) && Math.abs(dx) <= Math.abs(room))) return handle;
+    const share = Math.sign(dx) === Math.sign(room) ? room / dx : 0;
+    return { x: anchor.x + dx * share, y: anchor.y + (handle.y - anchor.y) * share };
+}
+
+//handles for the segment from start to end; a smooth point without handles gets flat ones a third of the way along
+function segmentHandles(start, end) {
+    return {
+        cp1: clampHandle(start.cp2 || { x: start.x + (end.x - start.x) / 3, y: start.y }, start, end),
+        cp2: clampHandle(end.cp1 || { x: end.x - (end.x - start.x) / 3, y: end.y }, start, end)
+    };
+}
+
+function isCurved(start, end) {
+    return start.type === 'smooth' && end.type === 'smooth';
+}
+
+//the point on the segment at parameter t, the same point bezierCurveTo / lineTo would pass through
+function segmentPoint(start, end, t) {
+    if (!isCurved(start, end)) {
+        return { x: start.x + t * (end.x - start.x), y: start.y + t * (end.y - start.y) };
+    }
+    const { cp1, cp2 } = segmentHandles(start, end);
+    return {
+        x: cubicBezier(start.x, cp1.x, cp2.x, end.x, t),
+        y: cubicBezier(start.y, cp1.y, cp2.y, end.y, t)
+    };
+}
+
+//y where the segment crosses x
+function segmentY(start, end, x) {
+    if (!isCurved(start, end)) {
+        if (end.x === start.x) return end.y;
+        return start.y + (x - start.x) / (end.x - start.x) * (end.y - start.y);
+    }
+    const { cp1, cp2 } = segmentHandles(start, end);
+    const t = solveBezierT(start.x, cp1.x, cp2.x, end.x, x);
+    return cubicBezier(start.y, cp1.y, cp2.y, end.y, t);
+}
+
+//y of the curve through `points` (in x order) at x; outside the points it holds the end values
+function sampleCurve(points, x) {
+    if (x <= points[0].x) return points[0].y;
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].x >= x) return segmentY(points[i - 1], points[i], x);
+    }
+    return points[points.length - 1].y;
+}
+
+//the same point moved along x, handles and all
+function shiftPoint(point, dx) {
+    return {
+        ...point,
+        cp1: point.cp1 ? { x: point.cp1.x + dx, y: point.cp1.y } : point.cp1,
+        cp2: point.cp2 ? { x: point.cp2.x + dx, y: point.cp2.y } : point.cp2,
+        x: point.x + dx
+    };
+}
+
+//y at x (0 -> 1) on a curve that repeats every 1 in x: past the last point it joins back up to the first
+function sampleLoop(points, x) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (x >= first.x && x <= last.x) return sampleCurve(points, x);
+    // the gap from the last point round to the first one of the next cycle
+    const next = shiftPoint(first, 1);
+    return segmentY(last, next, x < first.x ? x + 1 : x);
+}
+
+//polyline for drawing the curve: every point, with the curves between them sampled every `step` in x
+function curvePath(points, step = 1) {
+    const path = [{ x: points[0].x, y: points[0].y }];
+    for (let i = 1; i < points.length; i++) {
+        const start = points[i - 1];
+        const end = points[i];
+        if (isCurved(start, end)) {
+            for (let x = start.x + step; x < end.x; x += step) {
+                path.push({ x, y: segmentY(start, end, x) });
+            }
+        }
+        path.push({ x: end.x, y: end.y });
+    }
+    return path;
+}
+
+export { cubicBezier, solveBezierT, clampHandle, fitHandle, segmentHandles, segmentPoint, segmentY, sampleCurve, sampleLoop, curvePath };
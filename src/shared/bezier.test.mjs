@@ -0,0 +1,170 @@
+// Checks that the sampled curve is the one the editor draws: Canvas.drawCurve is run against a
+// context that writes down its path, and sampleLoop has to land on every segment of it.
+// Run with: node --test src/shared/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Canvas } from '../editor/js/Canvas.js';
+import { clampHandle, fitHandle, segmentY, sampleLoop, curvePath } from './bezier.js';
+
+const CLOSE = 1e-4;
+
+//a 2d context that only keeps the path calls
+function recordingContext() {
+    const calls = [];
+    const ctx = { calls };
+    ['beginPath', 'moveTo', 'lineTo', 'bezierCurveTo', 'stroke'].forEach(name => {
+        ctx[name] = (...args) => calls.push({ name, args });
+    });
+    return ctx;
+}
+
+//the path Canvas.drawCurve draws through `points`, as segments { from, to, cp1?, cp2? }
+function drawnSegments(points) {
+    const ctx = recordingContext();
+    Canvas.prototype.drawCurve.call({ ctx }, new Map(points.map((point, i) => [i, point])));
+
+    const segments = [];
+    let pen = null;
+    ctx.calls.forEach(({ name, args }) => {
+        if (name === 'moveTo') {
+            pen = { x: args[0], y: args[1] };
+        } else if (name === 'lineTo') {
+            segments.push({ from: pen, to: { x: args[0], y: args[1] } });
+            pen = segments[segments.length - 1].to;
+        } else if (name === 'bezierCurveTo') {
+            const [c1x, c1y, c2x, c2y, x, y] = args;
+            segments.push({ from: pen, cp1: { x: c1x, y: c1y }, cp2: { x: c2x, y: c2y }, to: { x, y } });
+            pen = segments[segments.length - 1].to;
+        }
+    });
+    return segments;
+}
+
+//where the drawn segment is at t: the Bezier bezierCurveTo strokes, or the straight lineTo
+function alongSegment({ from, cp1, cp2, to }, t) {
+    const u = 1 - t;
+    if (!cp1) return { x: from.x + t * (to.x - from.x), y: from.y + t * (to.y - from.y) };
+    const along = key => u * u * u * from[key] + 3 * u * u * t * cp1[key] + 3 * u * t * t * cp2[key] + t * t * t * to[key];
+    return { x: along('x'), y: along('y') };
+}
+
+//every segment of the drawn path, `steps` points each
+function drawnCurve(points, steps = 50) {
+    return drawnSegments(points).flatMap(segment => (
+        Array.from({ length: steps + 1 }, (_, s) => alongSegment(segment, s / steps))
+    ));
+}
+
+function smooth(x, y, cp1, cp2) {
+    return { x, y, type: 'smooth', cp1: { x: cp1[0], y: cp1[1] }, cp2: { x: cp2[0], y: cp2[1] } };
+}
+
+function sharp(x, y) {
+    return { x, y, type: 'sharp', cp1: { x, y }, cp2: { x, y } };
+}
+
+// sharp corners either side of a run of smooth points, with handles of different lengths
+const MIXED = [
+    sharp(0, 0),
+    smooth(0.15, 0.4, [0.1, 0.4], [0.2, 0.4]),
+    smooth(0.3, 1, [0.22, 1.1], [0.38, 0.9]),
+    smooth(0.5, -0.3, [0.45, -0.5], [0.52, -0.2]),
+    sharp(0.6, 0.2),
+    smooth(0.8, 0.6, [0.7, 0.6], [0.85, 0.5]),
+    smooth(1, 0, [0.95, 0], [1.05, 0])
+];
+
+test('drawCurve draws a curve between smooth points and a line to or from a sharp one', () => {
+    const kinds = drawnSegments(MIXED).map(segment => (segment.cp1 ? 'curve' : 'line'));
+    assert.deepEqual(kinds, ['line', 'curve', 'curve', 'line', 'line', 'curve']);
+});
+
+test('sampleLoop lands on every segment drawCurve draws', () => {
+    for (const { x, y } of drawnCurve(MIXED)) {
+        assert.ok(Math.abs(sampleLoop(MIXED, x) - y) < CLOSE, `at x=${x.toFixed(4)}: ${sampleLoop(MIXED, x)} vs drawn ${y}`);
+    }
+});
+
+test('segmentY gives each drawn point back from its x', () => {
+    drawnSegments(MIXED).forEach((segment, i) => {
+        for (let s = 0; s <= 20; s++) {
+            const { x, y } = alongSegment(segment, s / 20);
+            assert.ok(Math.abs(segmentY(MIXED[i], MIXED[i + 1], x) - y) < CLOSE, `segment ${i + 1} at t=${s / 20}`);
+        }
+    });
+});
+
+test('curvePath lies on the drawn curve', () => {
+    const scale = point => ({
+        ...point,
+        x: point.x * 500,
+        cp1: { x: point.cp1.x * 500, y: point.cp1.y },
+        cp2: { x: point.cp2.x * 500, y: point.cp2.y }
+    });
+    for (const { x, y } of curvePath(MIXED.map(scale))) {
+        assert.ok(Math.abs(sampleLoop(MIXED, x / 500) - y) < CLOSE, `at x=${x}`);
+    }
+});
+
+test('past the last point the loop joins up to the first point of the next cycle', () => {
+    // starts late and finishes early, so the join covers both ends of 0 -> 1
+    const points = [
+        smooth(0.1, 0.5, [0.05, 0.8], [0.2, 0.2]),
+        sharp(0.5, -0.5),
+        smooth(0.8, 0, [0.7, 0], [0.9, -0.4])
+    ];
+    // the join, drawn the way the editor would draw the last point followed by the first one a cycle on
+    const next = { ...points[0], x: 1.1, cp1: { x: 1.05, y: 0.8 } };
+    for (const { x, y } of drawnCurve([points[2], next])) {
+        const wrapped = x >= 1 ? x - 1 : x;
+        assert.ok(Math.abs(sampleLoop(points, wrapped) - y) < CLOSE, `at x=${wrapped.toFixed(4)}`);
+    }
+
+    // and a sharp end joins with a straight line
+    const sharpEnd = [points[0], points[1]];
+    for (const { x, y } of drawnCurve([points[1], { ...points[0], x: 1.1 }])) {
+        const wrapped = x >= 1 ? x - 1 : x;
+        assert.ok(Math.abs(sampleLoop(sharpEnd, wrapped) - y) < CLOSE, `at x=${wrapped.toFixed(4)}`);
+    }
+});
+
+test('sampling holds a handle past the neighbouring point at that point\'s x', () => {
+    const start = { x: 0, y: 0 };
+    const end = { x: 1, y: 0 };
+    assert.deepEqual(clampHandle({ x: 1.5, y: 1 }, start, end), { x: 1, y: 1 });
+    assert.deepEqual(clampHandle({ x: -0.5, y: 1 }, start, end), { x: 0, y: 1 });
+    const inside = { x: 0.4, y: 2 };
+    assert.equal(clampHandle(inside, start, end), inside);
+});
+
+test('fitHandle shortens a handle along its own line, keeping a smooth point\'s tangent', () => {
+    const point = { x: 0.5, y: 0 };
+    const next = { x: 0.7, y: 0 };
+    const previous = { x: 0.2, y: 0 };
+    // cp2 reaches 0.4 past the point, there's only 0.2 of room: half as long, same direction
+    const cp2 = fitHandle({ x: 0.9, y: 0.4 }, point, next);
+    assert.ok(Math.abs(cp2.x - 0.7) < CLOSE && Math.abs(cp2.y - 0.2) < CLOSE);
+    const cp1 = { x: 0.3, y: -0.2 };
+    assert.equal(fitHandle(cp1, point, previous), cp1);
+    // still in line through the point
+    const slope = (handle) => (handle.y - point.y) / (handle.x - point.x);
+    assert.ok(Math.abs(slope(cp2) - slope(cp1)) < CLOSE);
+    // pointing backwards in time it has nowhere to go but onto its point
+    assert.deepEqual(fitHandle({ x: 0.4, y: 1 }, point, next), { x: 0.5, y: 0 });
+});
+
+test('once the editor has fitted overshooting handles, sampling matches what drawCurve draws', () => {
+    const start = { x: 0, y: 0, type: 'smooth', cp1: { x: -0.2, y: 0 }, cp2: { x: 1.5, y: 1 } };
+    const end = { x: 1, y: 0, type: 'smooth', cp1: { x: -0.5, y: 1 }, cp2: { x: 1.2, y: 0 } };
+    start.cp2 = fitHandle(start.cp2, start, end);
+    end.cp1 = fitHandle(end.cp1, end, start);
+    const points = [start, end];
+
+    const drawn = drawnCurve(points);
+    for (let i = 1; i < drawn.length; i++) {
+        assert.ok(drawn[i].x >= drawn[i - 1].x - CLOSE, 'fitted handles keep x moving forward');
+    }
+    for (const { x, y } of drawn) {
+        assert.ok(Math.abs(sampleLoop(points, x) - y) < CLOSE, `at x=${x.toFixed(4)}`);
+    }
+});
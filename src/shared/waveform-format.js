@@ -0,0 +1,196 @@
+// Waveform files: the one format the editor saves and both the editor and the monitors load.
+//
+//   format    'anaesthesia-sim-waveform'
+//   version   FORMAT_VERSION; older files are migrated on load, newer ones refused
+//   name      shown in the editor and when a monitor loads it
+//   channel   monitor channel it was drawn for (a key of CHANNELS), or null for any
+//   duration  s, how long one cycle lasts as drawn (the monitor still plays one per beat / breath)
+//   units     what y measures (UNITS)
+//   author, notes
+//   points    x 0 -> 1 across the cycle, y in editor units (1 = a quarter of the editor canvas
+//             above the baseline), type 'smooth' | 'sharp', cp1 / cp2 handles in the same units,
+//             plus the editor's name, color and starred
+//   canvas    the editor geometry they were normalised from, { width, height, left, right, baseline } px,
+//             so the editor can put them back where they were
+//
+// Before versioning there were two shapes: the editor's "save wave" ({ points } in canvas px) and
+// "export for monitor" ({ points, metadata } already normalised). Both still load.
+
+const FORMAT = 'anaesthesia-sim-waveform';
+const FORMAT_VERSION = 2;
+
+const CHANNELS = {
+    hr: { label: 'ECG', units: 'mV' },
+    ST: { label: 'ECG (ST lead)', units: 'mV' },
+    art: { label: 'Arterial line', units: 'mmHg' },
+    spo2: { label: 'Pleth', units: 'a.u.' },
+    etco2: { label: 'Capnogram', units: 'mmHg' },
+    paw: { label: 'Airway pressure', units: 'cmH2O' },
+    vte: { label: 'Volume', units: 'mL' },
+    sev: { label: 'Agent', units: '%' }
+};
+const UNITS = ['mV', 'mmHg', 'cmH2O', 'mL', 'L/min', '%', 'a.u.'];
+const POINT_TYPES = ['smooth', 'sharp'];
+
+// what a file says when it doesn't say, and the details a new wave starts with in the editor
+const DEFAULT_INFO = { name: 'Untitled', channel: null, duration: 1, units: 'a.u.', author: '', notes: '' };
+// editor canvas assumed for old "save wave" files, which only had pixel positions
+const DEFAULT_CANVAS = { width: 1000, height: 150 };
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+//a version-2 file with the info filled in where it's missing
+function createWaveformFile({ points, canvas, ...info }) {
+    return { format: FORMAT, version: FORMAT_VERSION, ...DEFAULT_INFO, ...info, points, canvas };
+}
+
+//editor canvas points (px) -> file points, and the geometry needed to undo it
+function normalisePoints(points, { width, height, baseline = height / 2 }) {
+    const xs = points.map(point => point.x);
+    const left = Math.min(...xs);
+    const right = Math.max(...xs);
+    const span = right - left || 1;
+    const unit = height / 4;
+    const toX = x => (x - left) / span;
+    const toY = y => (baseline - y) / unit;
+    return {
+        canvas: { width, height, left, right, baseline },
+        points: points.map(point => ({
+            x: toX(point.x),
+            y: toY(point.y),
+            type: point.type,
+            name: point.name,
+            color: point.color,
+            starred: !!point.starred,
+            cp1: point.cp1 ? { x: toX(point.cp1.x), y: toY(point.cp1.y) } : null,
+            cp2: point.cp2 ? { x: toX(point.cp2.x), y: toY(point.cp2.y) } : null
+        }))
+    };
+}
+
+//file points -> px on an editor canvas `width` x `height`, stretched from the one they were saved on
+function denormalisePoints(file, { width, height }) {
+    const { canvas } = file;
+    const scaleX = width / canvas.width;
+    const scaleY = height / canvas.height;
+    const left = canvas.left * scaleX;
+    const span = (canvas.right - canvas.left) * scaleX;
+    const baseline = canvas.baseline * scaleY;
+    const unit = height / 4;
+    const toX = x => left + x * span;
+    const toY = y => baseline - y * unit;
+    return {
+        baseline,
+        points: file.points.map(point => ({
+            ...point,
+            x: toX(point.x),
+            y: toY(point.y),
+            cp1: point.cp1 ? { x: toX(point.cp1.x), y: toY(point.cp1.y) } : null,
+            cp2: point.cp2 ? { x: toX(point.cp2.x), y: toY(point.cp2.y) } : null
+        }))
+    };
+}
+
+//every problem with a version-2 file, as readable messages; empty when it's fine
+function validateWaveform(file) {
+    const problems = [];
+    if (!file || typeof file !== 'object' || Array.isArray(file)) return ['not a waveform file'];
+    if (file.format !== FORMAT) problems.push(`format must be "${FORMAT}"`);
+    if (file.version !== FORMAT_VERSION) problems.push(`version must be ${FORMAT_VERSION}`);
+    if (typeof file.name !== 'string' || !file.name.trim()) problems.push('name must be some text');
+    if (file.channel !== null && !(file.channel in CHANNELS)) {
+        problems.push(`channel must be null or one of ${Object.keys(CHANNELS).join(', ')}`);
+    }
+    if (!isNumber(file.duration) || file.duration <= 0) problems.push('duration must be a number of seconds above 0');
+    if (!UNITS.includes(file.units)) problems.push(`units must be one of ${UNITS.join(', ')}`);
+    ['author', 'notes'].forEach(key => {
+        if (typeof file[key] !== 'string') problems.push(`${key} must be text`);
+    });
+
+    const canvas = file.canvas;
+    if (!canvas || typeof canvas !== 'object') {
+        problems.push('canvas is missing');
+    } else {
+        ['width', 'height', 'left', 'right', 'baseline'].forEach(key => {
+            if (!isNumber(canvas[key])) problems.push(`canvas.${key} must be a number`);
+        });
+        if (canvas.width <= 0 || canvas.height <= 0) problems.push('canvas must have a width and height above 0');
+    }
+
+    if (!Array.isArray(file.points)) {
+        problems.push('points must be a list');
+        return problems;
+    }
+    if (file.points.length < 2) problems.push('points needs at least 2 points');
+    file.points.forEach((point, i) => {
+        const where = `points[${i}]`;
+        if (!point || typeof point !== 'object') {
+            problems.push(`${where} must be a point`);
+            return;
+        }
+        if (!isNumber(point.x) || point.x < 0 || point.x > 1) problems.push(`${where}.x must be a number from 0 to 1`);
+        if (!isNumber(point.y)) problems.push(`${where}.y must be a number`);
+        if (!POINT_TYPES.includes(point.type)) problems.push(`${where}.type must be one of ${POINT_TYPES.join(', ')}`);
+        ['cp1', 'cp2'].forEach(key => {
+            const handle = point[key];
+            if (handle === null || handle === undefined) {
+                if (point.type === 'smooth') problems.push(`${where}.${key} is needed on a smooth point`);
+            } else if (!isNumber(handle.x) || !isNumber(handle.y)) {
+                problems.push(`${where}.${key} must have a number x and y`);
+            }
+        });
+    });
+    return problems;
+}
+
+//bring anything this app has ever written up to the current version
+function migrateWaveform(data, geometry = DEFAULT_CANVAS) {
+    if (data && data.format === FORMAT) {
+        if (data.version > FORMAT_VERSION) {
+            throw new Error(`Waveform file is version ${data.version}, this app only reads up to version ${FORMAT_VERSION}`);
+        }
+        return data; // the validator says what's wrong with it, if anything
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.points)) throw new Error('Not a waveform file: no points');
+
+    // old "export for monitor": points already normalised, the editor geometry in metadata
+    if (data.metadata) {
+        const { originalWidth = DEFAULT_CANVAS.width, originalHeight = DEFAULT_CANVAS.height, baselineRatio = 0.5 } = data.metadata;
+        return createWaveformFile({
+            points: data.points.map(point => ({ starred: false, ...point })),
+            canvas: {
+                width: originalWidth,
+                height: originalHeight,
+                left: 0,
+                right: originalWidth,
+                baseline: originalHeight * baselineRatio
+            }
+        });
+    }
+
+    // old "save wave": editor canvas px, with the baseline across the middle
+    const invalid = data.points.findIndex(point => !point || !isNumber(point.x) || !isNumber(point.y));
+    if (invalid >= 0) throw new Error(`Waveform file: points[${invalid}] must have a number x and y`);
+    return createWaveformFile(normalisePoints(data.points, geometry));
+}
+
+//a waveform file's text -> a checked, current-version file; throws an Error listing every problem
+function readWaveform(text, geometry) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Waveform file is not valid JSON (${error.message})`);
+    }
+    const file = migrateWaveform(data, geometry);
+    const problems = validateWaveform(file);
+    if (problems.length) throw new Error(`Waveform file: ${problems.join('; ')}`);
+    return file;
+}
+
+export {
+    FORMAT, FORMAT_VERSION, CHANNELS, UNITS, POINT_TYPES, DEFAULT_INFO,
+    createWaveformFile, normalisePoints, denormalisePoints, validateWaveform, migrateWaveform, readWaveform
+};